@@ -0,0 +1,74 @@
+/**
+ * Sync Check
+ * Runs syncTasks against the mock tracker and checks that new issues come in,
+ * remote changes are pulled and local ones pushed.
+ *
+ * Run it with `npm run check-sync`; it exits non-zero on the first mismatch.
+ */
+
+import assert from 'node:assert/strict';
+import { createTrackerClient, syncTasks } from '../src/tracker-sync.js';
+import { createIssue, createMockTracker } from './mock-tracker.js';
+
+const hourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+
+const issues = [
+    // Not linked yet, so it becomes a task
+    createIssue({ number: 1, title: 'Fix login redirect loop', labels: [{ name: 'p1' }, { name: 'Needs Review' }] }),
+    // Completed here after the issue last changed, so the close is pushed
+    createIssue({ number: 2, title: 'Add rate limiting', repo: 'api', updated_at: twoHoursAgo }),
+    // Closed on the tracker after the task last changed, so the completion is pulled;
+    // closed issues drop out of the assigned list, so this one is fetched on its own
+    createIssue({ number: 3, title: 'Document deploys', state: 'closed', updated_at: hourAgo })
+];
+
+const link = (repo, number, updatedAt) => ({ owner: 'acme', repo, number, url: '', state: 'open', updatedAt });
+const tasks = [
+    { task: 'Add rate limiting', completed: true, updatedAt: hourAgo, issue: link('api', 2, twoHoursAgo) },
+    { task: 'Document deploys', completed: false, updatedAt: twoHoursAgo, issue: link('webapp', 3, twoHoursAgo) }
+];
+
+const server = createMockTracker(issues);
+await new Promise(resolve => server.listen(0, resolve));
+
+try {
+    const requests = [];
+    const client = createTrackerClient({
+        baseUrl: `http://localhost:${server.address().port}/`,
+        token: 'test-token',
+        fetch: (url, options) => {
+            requests.push(`${options.method} ${new URL(url).pathname}`);
+            return fetch(url, options);
+        }
+    });
+
+    const result = await syncTasks(client, {
+        tasks,
+        archivedTasks: [],
+        complete: task => { task.completed = true; },
+        reopen: task => { task.completed = false; }
+    });
+
+    assert.equal(result.created.length, 1);
+    assert.equal(result.created[0].task, 'Fix login redirect loop');
+    assert.equal(result.created[0].priority, 'P1');
+    assert.deepEqual(result.created[0].tags, ['needs-review']);
+    assert.equal(result.pushed, 1);
+    assert.equal(issues[1].state, 'closed');
+    assert.equal(result.pulled, 1);
+    assert.equal(tasks[1].completed, true);
+    assert.deepEqual(requests, [
+        'GET /issues',
+        'PATCH /repos/acme/api/issues/2',
+        'GET /repos/acme/webapp/issues/3'
+    ]);
+
+    // Everything agrees now, so a second run changes nothing
+    const again = await syncTasks(client, { tasks: [...tasks, ...result.created], archivedTasks: [], complete() {}, reopen() {} });
+    assert.deepEqual(again, { created: [], pulled: 0, pushed: 0 });
+
+    console.log('Sync check passed');
+} finally {
+    server.close();
+}
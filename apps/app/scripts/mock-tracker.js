@@ -0,0 +1,119 @@
+/**
+ * Mock Tracker
+ * In-memory stand-in for the issue endpoints tracker-sync.js uses:
+ * GET /issues, GET /repos/:owner/:repo/issues/:number and PATCH on the same path.
+ *
+ * Run it with `npm run mock-tracker [port]` and point the Sync view at the URL it prints.
+ */
+
+import http from 'node:http';
+import { fileURLToPath } from 'node:url';
+
+const DEFAULT_PORT = 8787;
+
+/**
+ * Serve a list of issues the way the tracker API would
+ * @param {Array} issues - Issues as the API returns them; PATCH updates them in place
+ * @param {string} [user] - Login the assigned-issues list is filtered by
+ * @returns {http.Server} - Not yet listening
+ */
+export function createMockTracker(issues, user = 'me') {
+    return http.createServer(async (request, response) => {
+        // The browser build calls from another origin
+        response.setHeader('Access-Control-Allow-Origin', '*');
+        response.setHeader('Access-Control-Allow-Headers', 'Accept, Authorization, Content-Type');
+        response.setHeader('Access-Control-Allow-Methods', 'GET, PATCH, OPTIONS');
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204).end();
+            return;
+        }
+
+        const url = new URL(request.url, 'http://localhost');
+        const path = url.pathname.match(/^\/repos\/([^/]+)\/([^/]+)\/issues\/(\d+)$/);
+
+        if (request.method === 'GET' && url.pathname === '/issues') {
+            const page = Number(url.searchParams.get('page') || 1);
+            const perPage = Number(url.searchParams.get('per_page') || 30);
+            const assigned = issues.filter(issue =>
+                issue.state === url.searchParams.get('state') &&
+                issue.assignee && issue.assignee.login === user
+            );
+            sendJson(response, 200, assigned.slice((page - 1) * perPage, page * perPage));
+            return;
+        }
+
+        const issue = path && issues.find(other =>
+            other.repository.owner.login === decodeURIComponent(path[1]) &&
+            other.repository.name === decodeURIComponent(path[2]) &&
+            other.number === Number(path[3])
+        );
+
+        if (!issue) {
+            sendJson(response, 404, { message: 'Not Found' });
+        } else if (request.method === 'GET') {
+            sendJson(response, 200, issue);
+        } else if (request.method === 'PATCH') {
+            const { state } = JSON.parse(await readBody(request) || '{}');
+            if (state === 'open' || state === 'closed') {
+                issue.state = state;
+                issue.updated_at = new Date().toISOString();
+            }
+            sendJson(response, 200, issue);
+        } else {
+            sendJson(response, 405, { message: 'Method Not Allowed' });
+        }
+    });
+}
+
+/**
+ * A tracker issue with the fields the sync reads
+ * @param {Object} fields - number, title and anything to override
+ * @returns {Object} - Issue
+ */
+export function createIssue({ owner = 'acme', repo = 'webapp', ...fields }) {
+    const now = new Date().toISOString();
+    return {
+        state: 'open',
+        labels: [],
+        milestone: null,
+        assignee: { login: 'me' },
+        created_at: now,
+        updated_at: now,
+        html_url: `https://github.com/${owner}/${repo}/issues/${fields.number}`,
+        repository: { name: repo, owner: { login: owner } },
+        ...fields
+    };
+}
+
+/**
+ * @private
+ */
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * @private
+ */
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => resolve(body));
+        request.on('error', reject);
+    });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const port = Number(process.argv[2]) || DEFAULT_PORT;
+    const issues = [
+        createIssue({ number: 1, title: 'Fix login redirect loop', labels: [{ name: 'P1' }, { name: 'bug' }] }),
+        createIssue({ number: 2, title: 'Add rate limiting to the API', repo: 'api' }),
+        createIssue({ number: 3, title: 'Document the deploy process', labels: ['docs'] })
+    ];
+
+    createMockTracker(issues).listen(port, () => {
+        console.log(`Mock tracker on http://localhost:${port} with ${issues.length} issues assigned to "me"`);
+    });
+}
@@ -0,0 +1,330 @@
+/**
+ * Data Transfer
+ * Export tasks as JSON, CSV or Markdown and parse them back in
+ */
+
+import { parseICalendar } from './ical.js';
+
+const CSV_COLUMNS = [
+    'id', 'task', 'project', 'organization', 'dueDate', 'dueTime', 'priority',
+    'completed', 'createdAt', 'completedAt', 'repeat', 'subtasks', 'trackedMinutes', 'tags'
+];
+
+// Only JSON records the version that wrote it. The other formats carry no more than the
+// first schema's fields, so they go through every migration after it
+const PLAIN_SCHEMA_VERSION = 1;
+
+/**
+ * Full-fidelity JSON backup
+ * @param {Object} data - { schemaVersion, tasks, projects, organizations, tags, projectColors, projectOrgs, archivedTasks }
+ * @returns {string} - JSON text
+ */
+export function exportJson(data) {
+    return JSON.stringify({
+        format: 'dev-tasks',
+        exportedAt: new Date().toISOString(),
+        ...data
+    }, null, 2);
+}
+
+/**
+ * One row per task; repeat rules are JSON, subtasks are "[x] step" joined with " | ",
+ * tags are space-separated
+ * Tracked time is exported as a total for billing; sessions only travel in JSON
+ * @param {Array} tasks - Tasks to export
+ * @returns {string} - CSV text
+ */
+export function exportCsv(tasks) {
+    const rows = tasks.map(task => CSV_COLUMNS.map(column => {
+        switch (column) {
+            case 'repeat':
+                return task.repeat ? JSON.stringify(task.repeat) : '';
+            case 'subtasks':
+                return (task.subtasks || [])
+                    .map(subtask => `[${subtask.completed ? 'x' : ' '}] ${subtask.text}`)
+                    .join(' | ');
+            case 'completed':
+                return task.completed ? 'true' : 'false';
+            case 'tags':
+                return (task.tags || []).join(' ');
+            case 'trackedMinutes':
+                return String(Math.round((task.sessions || [])
+                    .filter(session => session.end)
+                    .reduce((total, session) => total + (new Date(session.end) - new Date(session.start)), 0) / 60000));
+            default:
+                return task[column] === undefined || task[column] === null ? '' : String(task[column]);
+        }
+    }));
+
+    return [CSV_COLUMNS, ...rows].map(row => row.map(escapeCsvField).join(',')).join('\r\n');
+}
+
+/**
+ * GitHub-flavoured Markdown checklist grouped by project
+ * @param {Array} tasks - Tasks to export
+ * @returns {string} - Markdown text
+ */
+export function exportMarkdown(tasks) {
+    const groups = new Map();
+    tasks.forEach(task => {
+        const project = task.project || '';
+        if (!groups.has(project)) groups.set(project, []);
+        groups.get(project).push(task);
+    });
+
+    // Named projects alphabetically, tasks without one last
+    const names = [...groups.keys()].sort((a, b) => {
+        if (!a) return 1;
+        if (!b) return -1;
+        return a.localeCompare(b);
+    });
+
+    const sections = names.map(name => {
+        const lines = [`## ${name || 'No project'}`, ''];
+        groups.get(name).forEach(task => {
+            const details = [];
+            if (task.priority) details.push(task.priority);
+            if (task.organization) details.push(`@${task.organization}`);
+            if (task.dueDate) details.push(`due ${task.dueDate}${task.dueTime ? ` ${task.dueTime}` : ''}`);
+            (task.tags || []).forEach(tag => details.push(`#${tag}`));
+
+            const suffix = details.length ? ` _(${details.join(', ')})_` : '';
+            lines.push(`- [${task.completed ? 'x' : ' '}] ${task.task}${suffix}`);
+
+            (task.subtasks || []).forEach(subtask => {
+                lines.push(`  - [${subtask.completed ? 'x' : ' '}] ${subtask.text}`);
+            });
+        });
+        return lines.join('\n');
+    });
+
+    return `# Dev Tasks\n\n${sections.join('\n\n')}\n`;
+}
+
+/**
+ * Parse an export in any of the supported formats
+ * @param {string} text - Exported text
+ * @returns {Object} - { format, schemaVersion, tasks, projects, organizations, tags }, plus projectColors
+ * and projectOrgs for JSON
+ * @throws {Error} - If the text isn't a recognised export
+ */
+export function parseImport(text) {
+    const trimmed = String(text || '').trim();
+    if (!trimmed) throw new Error('Nothing to import');
+
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        return parseJson(trimmed);
+    }
+    if (trimmed.startsWith('BEGIN:VCALENDAR')) {
+        return {
+            format: 'ical',
+            schemaVersion: PLAIN_SCHEMA_VERSION,
+            tasks: parseICalendar(trimmed),
+            projects: [],
+            organizations: [],
+            tags: []
+        };
+    }
+    if (/^-\s*\[[ xX]\]/m.test(trimmed)) {
+        return parseMarkdown(trimmed);
+    }
+    if (/^"?id"?,"?task"?/.test(trimmed)) {
+        return parseCsv(trimmed);
+    }
+
+    throw new Error('Unrecognised format');
+}
+
+/**
+ * @private
+ */
+function parseJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Invalid JSON');
+    }
+
+    // A bare array of tasks is accepted too
+    if (Array.isArray(data)) {
+        data = { tasks: data };
+    }
+    if (!Array.isArray(data.tasks)) {
+        throw new Error('JSON has no tasks');
+    }
+
+    return {
+        format: 'json',
+        schemaVersion: data.schemaVersion,
+        tasks: [...data.tasks, ...(Array.isArray(data.archivedTasks) ? data.archivedTasks : [])],
+        projects: data.projects || [],
+        organizations: data.organizations || [],
+        tags: data.tags || [],
+        projectColors: data.projectColors || {},
+        projectOrgs: data.projectOrgs || {}
+    };
+}
+
+/**
+ * @private
+ */
+function parseCsv(text) {
+    const [header, ...rows] = parseCsvRows(text);
+    const columns = header.map(column => column.trim());
+
+    const tasks = rows
+        .filter(row => row.some(cell => cell.trim()))
+        .map(row => {
+            const record = {};
+            columns.forEach((column, index) => {
+                record[column] = row[index] === undefined ? '' : row[index];
+            });
+
+            let repeat = null;
+            if (record.repeat) {
+                try {
+                    repeat = JSON.parse(record.repeat);
+                } catch (e) {
+                    repeat = null;
+                }
+            }
+
+            return {
+                id: record.id ? Number(record.id) : undefined,
+                task: record.task,
+                project: record.project || '',
+                organization: record.organization || '',
+                dueDate: record.dueDate || '',
+                dueTime: record.dueTime || '',
+                priority: record.priority || '',
+                completed: record.completed === 'true',
+                createdAt: record.createdAt || new Date().toISOString(),
+                completedAt: record.completedAt || null,
+                repeat,
+                subtasks: parseSubtaskList(record.subtasks),
+                tags: (record.tags || '').split(/\s+/).filter(Boolean)
+            };
+        });
+
+    return { format: 'csv', schemaVersion: PLAIN_SCHEMA_VERSION, tasks, projects: [], organizations: [], tags: [] };
+}
+
+/**
+ * @private
+ */
+function parseMarkdown(text) {
+    const tasks = [];
+    let project = '';
+
+    text.split(/\r?\n/).forEach(line => {
+        const heading = line.match(/^##\s+(.+)$/);
+        if (heading) {
+            project = heading[1].trim() === 'No project' ? '' : heading[1].trim();
+            return;
+        }
+
+        const item = line.match(/^(\s*)-\s*\[([ xX])\]\s+(.+)$/);
+        if (!item) return;
+
+        const completed = item[2].toLowerCase() === 'x';
+
+        // Indented items are steps of the task above
+        if (item[1].length > 0 && tasks.length > 0) {
+            tasks[tasks.length - 1].subtasks.push({ text: item[3].trim(), completed });
+            return;
+        }
+
+        let title = item[3].trim();
+        const task = {
+            task: title,
+            project,
+            organization: '',
+            dueDate: '',
+            dueTime: '',
+            priority: '',
+            completed,
+            completedAt: null,
+            createdAt: new Date().toISOString(),
+            subtasks: [],
+            tags: []
+        };
+
+        const details = title.match(/^(.*?)\s+_\((.+)\)_$/);
+        if (details) {
+            task.task = details[1];
+            details[2].split(',').map(part => part.trim()).forEach(part => {
+                if (/^P[0-3]$/.test(part)) task.priority = part;
+                else if (part.startsWith('@')) task.organization = part.slice(1);
+                else if (part.startsWith('due ')) [task.dueDate, task.dueTime = ''] = part.slice(4).split(' ');
+                else if (part.startsWith('#')) task.tags.push(part.slice(1));
+            });
+        }
+
+        tasks.push(task);
+    });
+
+    return { format: 'markdown', schemaVersion: PLAIN_SCHEMA_VERSION, tasks, projects: [], organizations: [], tags: [] };
+}
+
+/**
+ * "[x] one | [ ] two" back into subtask objects
+ * @private
+ */
+function parseSubtaskList(value) {
+    if (!value) return [];
+    return value.split(' | ')
+        .map(part => part.match(/^\[([ xX])\]\s*(.*)$/))
+        .filter(match => match && match[2].trim())
+        .map(match => ({ text: match[2].trim(), completed: match[1].toLowerCase() === 'x' }));
+}
+
+/**
+ * RFC 4180 rows, including quoted commas and line breaks
+ * @private
+ */
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    row.push(field);
+    rows.push(row);
+    return rows;
+}
+
+/**
+ * @private
+ */
+function escapeCsvField(value) {
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
@@ -0,0 +1,419 @@
+/**
+ * Date Parser
+ * Turns spoken or typed due dates into 'YYYY-MM-DD' and times into 'HH:MM'
+ * without a round trip to the LLM. Everything works in local calendar days.
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const NUMBER_WORDS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+    seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, fourteen: 14, thirty: 30
+};
+
+const WEEKDAY = '(sun|mon|tue|tues|wed|thu|thur|thurs|fri|sat)(?:day|nesday|sday|urday)?';
+const MONTH = '(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*';
+const COUNT = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+const ORDINAL = '(\\d{1,2})(?:st|nd|rd|th)?';
+
+// "noon", "3pm", "3:30 p.m." or 24-hour "15:00"; a bare "at 3" is too ambiguous to guess at
+const TIME_PATTERN = /\b(?:at )?(?:(noon|midday|midnight)|(\d{1,2})(?::([0-5]\d))? ?([ap])\.?m\b\.?|([01]?\d|2[0-3]):([0-5]\d)\b)/;
+
+/**
+ * Phrases in the order they're tried; for overlapping matches the earliest
+ * and then the longest wins, so "next friday" beats "friday"
+ * @private
+ */
+const RULES = [
+    {
+        pattern: /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/,
+        resolve: (match) => makeDate(Number(match[1]), Number(match[2]), Number(match[3]))
+    },
+    {
+        // US order, to match how dates are displayed
+        pattern: /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?\b/,
+        resolve: (match, today) => withYear(today, match[3], Number(match[1]), Number(match[2]))
+    },
+    {
+        pattern: new RegExp(`\\b${MONTH}\\.? ${ORDINAL}(?:,? (\\d{4}))?\\b`),
+        resolve: (match, today) => withYear(today, match[3], monthNumber(match[1]), Number(match[2]))
+    },
+    {
+        pattern: new RegExp(`\\b${ORDINAL} (?:of )?${MONTH}(?:,? (\\d{4}))?\\b`),
+        resolve: (match, today) => withYear(today, match[3], monthNumber(match[2]), Number(match[1]))
+    },
+    {
+        pattern: /\b(today|tonight|this evening)\b/,
+        resolve: (match, today) => today
+    },
+    {
+        pattern: /\b(the )?day after tomorrow\b/,
+        resolve: (match, today) => addDays(today, 2)
+    },
+    {
+        pattern: /\b(tomorrow|tmrw)\b/,
+        resolve: (match, today) => addDays(today, 1)
+    },
+    {
+        pattern: new RegExp(`\\bin ${COUNT} (day|week|month)s?\\b`),
+        resolve: (match, today) => {
+            const count = parseCount(match[1]);
+            if (match[2] === 'month') return addMonths(today, count);
+            return addDays(today, match[2] === 'week' ? count * 7 : count);
+        }
+    },
+    {
+        pattern: new RegExp(`\\b${COUNT} (day|week)s? from (now|today)\\b`),
+        resolve: (match, today) => addDays(today, parseCount(match[1]) * (match[2] === 'week' ? 7 : 1))
+    },
+    {
+        pattern: /\b(?:by |at )?(?:the )?end of (?:the )?(week|month|year)\b|\beo([wmy])\b/,
+        resolve: (match, today) => {
+            const unit = match[1] || { w: 'week', m: 'month', y: 'year' }[match[2]];
+            if (unit === 'week') return nextWeekday(today, 5, true);
+            if (unit === 'month') return new Date(today.getFullYear(), today.getMonth() + 1, 0);
+            return new Date(today.getFullYear(), 11, 31);
+        }
+    },
+    {
+        pattern: new RegExp(`\\bnext ${WEEKDAY}\\b`),
+        resolve: (match, today) => {
+            // The named day in the week after this one (weeks end on Sunday)
+            const nextMonday = nextWeekday(today, 1, false);
+            return addDays(nextMonday, (weekdayNumber(match[1]) + 6) % 7);
+        }
+    },
+    {
+        pattern: new RegExp(`\\bthis ${WEEKDAY}\\b`),
+        resolve: (match, today) => nextWeekday(today, weekdayNumber(match[1]), true)
+    },
+    {
+        pattern: new RegExp(`\\b${WEEKDAY}\\b`),
+        resolve: (match, today) => nextWeekday(today, weekdayNumber(match[1]), false)
+    },
+    {
+        pattern: /\bnext (week|month|year)\b/,
+        resolve: (match, today) => {
+            if (match[1] === 'week') return nextWeekday(today, 1, false);
+            if (match[1] === 'month') return new Date(today.getFullYear(), today.getMonth() + 1, 1);
+            return new Date(today.getFullYear() + 1, 0, 1);
+        }
+    }
+];
+
+/**
+ * Parse text that is nothing but a date, e.g. typed into the due date field
+ * @param {string} text - "tomorrow", "next fri", "in 3 days", "Oct 23", "2026-10-23"...
+ * @param {Date} [now] - Reference time
+ * @returns {string} - 'YYYY-MM-DD', or '' if the text isn't a date
+ */
+export function parseDate(text, now = new Date()) {
+    const cleaned = normalizeText(text).replace(/^((due|by|on) )+/, '');
+    const found = matchDate(cleaned, now);
+    // Anything left over means this was more than a date
+    return found && found.text === cleaned ? found.dateKey : '';
+}
+
+/**
+ * Find the first date mentioned anywhere in a sentence
+ * @param {string} text - e.g. "ship the release by next friday"
+ * @param {Date} [now] - Reference time
+ * @returns {string} - 'YYYY-MM-DD', or '' if no date is mentioned
+ */
+export function findDate(text, now = new Date()) {
+    const found = matchDate(normalizeText(text), now);
+    return found ? found.dateKey : '';
+}
+
+/**
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for a real calendar day in 'YYYY-MM-DD' form
+ */
+export function isValidDateKey(value) {
+    if (typeof value !== 'string') return false;
+    const match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    return !!match && makeDate(Number(match[1]), Number(match[2]), Number(match[3])) !== null;
+}
+
+/**
+ * @param {Date} date - Any time on the day
+ * @returns {string} - That local calendar day as 'YYYY-MM-DD'
+ */
+export function toDateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Parse text that is nothing but a time of day
+ * @param {string} text - "3pm", "3:30 p.m.", "15:00", "noon"...
+ * @returns {string} - 'HH:MM' on the 24-hour clock, or '' if the text isn't a time
+ */
+export function parseTime(text) {
+    const cleaned = normalizeText(text);
+    const found = matchTime(cleaned);
+    return found && found.text === cleaned ? found.timeKey : '';
+}
+
+/**
+ * Find the first time of day mentioned anywhere in a sentence
+ * @param {string} text - e.g. "deploy tomorrow at 3pm"
+ * @returns {string} - 'HH:MM', or '' if no time is mentioned
+ */
+export function findTime(text) {
+    const found = matchTime(normalizeText(text));
+    return found ? found.timeKey : '';
+}
+
+/**
+ * Parse a due date with an optional time, e.g. typed into the due date field
+ * A time on its own means the next time the clock shows it, today or tomorrow.
+ * @param {string} text - "tomorrow 3pm", "fri at noon", "15:00", "Oct 23"...
+ * @param {Date} [now] - Reference time
+ * @returns {Object|null} - { dueDate, dueTime } with dueTime '' for a whole day,
+ * or null if the text isn't a due date
+ */
+export function parseDue(text, now = new Date()) {
+    const cleaned = normalizeText(text);
+    const time = matchTime(cleaned);
+    if (!time) {
+        const dueDate = parseDate(cleaned, now);
+        return dueDate ? { dueDate, dueTime: '' } : null;
+    }
+
+    const rest = `${cleaned.slice(0, time.index)} ${cleaned.slice(time.index + time.text.length)}`
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/^((due|by|on) ?)+$|( (at|by))+$/, '');
+    const dueDate = rest ? parseDate(rest, now) : nextTimeDate(time.timeKey, now);
+    return dueDate ? { dueDate, dueTime: time.timeKey } : null;
+}
+
+/**
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for a clock time in 'HH:MM' form
+ */
+export function isValidTimeKey(value) {
+    return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+/**
+ * Settle on a due date and time from what the LLM returned
+ * The words the user said win over the LLM's reading of them; the LLM's date
+ * is only used if it's a real day, with a stale year moved forward. A time
+ * with no date is the next time the clock shows it.
+ * @param {Object} sources
+ * @param {*} [sources.dueDate] - The LLM's date
+ * @param {*} [sources.dueTime] - The LLM's time
+ * @param {string} [sources.dueText] - The user's own words for the date, if the LLM quoted them
+ * @param {string} [sources.text] - Other text to search for a cued date ("by friday") if nothing else gives one
+ * @param {Date} [now] - Reference time
+ * @returns {Object} - { dueDate, dueTime }, each '' if there is nothing usable
+ */
+export function resolveDue({ dueDate, dueTime, dueText, text }, now = new Date()) {
+    const cued = findCuedDue(text || '', now);
+    const dueTimeKey = findTime(dueText || '')
+        || (typeof dueTime === 'string' ? parseTime(dueTime) : '')
+        || cued.dueTime;
+
+    let dueDateKey = findDate(dueText || '', now);
+    if (!dueDateKey) {
+        const llmDate = typeof dueDate === 'string' ? parseDate(dueDate.replace(/T.*$/, ''), now) : '';
+        dueDateKey = llmDate ? correctStaleYear(llmDate, now) : cued.dueDate;
+    }
+    if (!dueDateKey && dueTimeKey) {
+        dueDateKey = nextTimeDate(dueTimeKey, now);
+    }
+
+    return { dueDate: dueDateKey, dueTime: dueDateKey ? dueTimeKey : '' };
+}
+
+/**
+ * A due date and time in running text, only where a cue word introduces them
+ * Descriptions mention days for other reasons ("update the sunday digest"),
+ * so "by friday" counts but a bare "friday" doesn't.
+ * @private
+ */
+function findCuedDue(text, now) {
+    const cleaned = normalizeText(text);
+    const cue = /\b(?:due|by|on|before|until) /g;
+
+    while (cue.exec(cleaned) !== null) {
+        const rest = cleaned.slice(cue.lastIndex);
+        const date = matchDate(rest, now);
+        if (date && date.index === 0) {
+            // "by friday at 3pm"
+            const time = matchTime(rest.slice(date.text.length));
+            return { dueDate: date.dateKey, dueTime: time && time.index <= 1 ? time.timeKey : '' };
+        }
+
+        const time = matchTime(rest);
+        if (time && time.index === 0) return { dueDate: '', dueTime: time.timeKey };
+    }
+
+    return { dueDate: '', dueTime: '' };
+}
+
+/**
+ * @private
+ */
+function matchDate(text, now) {
+    const today = startOfDay(now);
+    let best = null;
+
+    RULES.forEach(rule => {
+        const match = text.match(rule.pattern);
+        if (!match) return;
+        if (best && (match.index > best.index || (match.index === best.index && match[0].length <= best.text.length))) return;
+
+        const date = rule.resolve(match, today);
+        if (date) best = { index: match.index, text: match[0], dateKey: toDateKey(date) };
+    });
+
+    return best;
+}
+
+/**
+ * @private
+ */
+function matchTime(text) {
+    const match = text.match(TIME_PATTERN);
+    if (!match) return null;
+
+    let hours;
+    let minutes = 0;
+    if (match[1]) {
+        hours = match[1] === 'midnight' ? 0 : 12;
+    } else if (match[4]) {
+        hours = Number(match[2]);
+        minutes = Number(match[3] || 0);
+        if (hours < 1 || hours > 12) return null;
+        hours = hours % 12 + (match[4] === 'p' ? 12 : 0);
+    } else {
+        hours = Number(match[5]);
+        minutes = Number(match[6]);
+    }
+
+    const timeKey = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    return { index: match.index, text: match[0], timeKey };
+}
+
+/**
+ * Today if the time is still to come, otherwise tomorrow
+ * @private
+ */
+function nextTimeDate(timeKey, now) {
+    const [hours, minutes] = timeKey.split(':').map(Number);
+    const today = startOfDay(now);
+    const moment = new Date(today);
+    moment.setHours(hours, minutes, 0, 0);
+    return toDateKey(moment > now ? today : addDays(today, 1));
+}
+
+/**
+ * LLMs sometimes answer with last year's date for "March 3"
+ * @private
+ */
+function correctStaleYear(dateKey, now) {
+    const todayKey = toDateKey(startOfDay(now));
+    if (dateKey >= todayKey) return dateKey;
+
+    const [, month, day] = dateKey.split('-').map(Number);
+    const thisYear = makeDate(now.getFullYear(), month, day);
+    // Only a date that looks right apart from its year is moved; anything else stays overdue
+    if (Number(dateKey.slice(0, 4)) < now.getFullYear() && thisYear && toDateKey(thisYear) >= todayKey) {
+        return toDateKey(thisYear);
+    }
+    return dateKey;
+}
+
+/**
+ * @private
+ */
+function normalizeText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[,.!?]+(\s|$)/g, '$1')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Month and day with an optional year; without one, the next time that day comes round
+ * @private
+ */
+function withYear(today, yearText, month, day) {
+    if (yearText) {
+        const year = Number(yearText.length === 2 ? `20${yearText}` : yearText);
+        return makeDate(year, month, day);
+    }
+
+    const date = makeDate(today.getFullYear(), month, day);
+    if (date && date < today) return makeDate(today.getFullYear() + 1, month, day);
+    return date;
+}
+
+/**
+ * A local date, or null if the parts don't make a real day (e.g. Feb 30)
+ * @private
+ */
+function makeDate(year, month, day) {
+    const date = new Date(year, month - 1, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+    return date;
+}
+
+/**
+ * @private
+ */
+function nextWeekday(today, weekday, includeToday) {
+    const offset = (weekday - today.getDay() + 7) % 7;
+    return addDays(today, offset === 0 && !includeToday ? 7 : offset);
+}
+
+/**
+ * @private
+ */
+function weekdayNumber(name) {
+    return WEEKDAYS.findIndex(day => day.startsWith(name.slice(0, 3)));
+}
+
+/**
+ * @private
+ */
+function monthNumber(name) {
+    return MONTHS.findIndex(month => month.startsWith(name.slice(0, 3))) + 1;
+}
+
+/**
+ * @private
+ */
+function parseCount(value) {
+    return NUMBER_WORDS[value] || Number(value);
+}
+
+/**
+ * @private
+ */
+function addDays(date, days) {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+}
+
+/**
+ * Same day of a later month, clamped to that month's last day
+ * @private
+ */
+function addMonths(date, months) {
+    const lastDay = new Date(date.getFullYear(), date.getMonth() + months + 1, 0).getDate();
+    return new Date(date.getFullYear(), date.getMonth() + months, Math.min(date.getDate(), lastDay));
+}
+
+/**
+ * @private
+ */
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
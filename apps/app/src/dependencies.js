@@ -0,0 +1,69 @@
+/**
+ * Dependencies
+ * "Blocked by" relationships between tasks
+ */
+
+/**
+ * Open tasks that are holding a task up
+ * Completed, archived or deleted blockers no longer count
+ * @param {Object} task - Task to check
+ * @param {Array} tasks - All active tasks
+ * @returns {Array} - Blocking tasks
+ */
+export function getOpenBlockers(task, tasks) {
+    const blockedBy = task.blockedBy || [];
+    if (blockedBy.length === 0) return [];
+
+    return tasks.filter(other => blockedBy.includes(other.id) && !other.completed);
+}
+
+/**
+ * @param {Object} task - Task to check
+ * @param {Array} tasks - All active tasks
+ * @returns {boolean} - True if any blocker is still open
+ */
+export function isBlocked(task, tasks) {
+    return !task.completed && getOpenBlockers(task, tasks).length > 0;
+}
+
+/**
+ * Tasks that become actionable once a task is completed
+ * @param {Object} completedTask - Task that was just completed
+ * @param {Array} tasks - All active tasks, with completedTask already marked
+ * @returns {Array} - Tasks no longer blocked
+ */
+export function getUnblocked(completedTask, tasks) {
+    return tasks.filter(task =>
+        !task.completed &&
+        (task.blockedBy || []).includes(completedTask.id) &&
+        !isBlocked(task, tasks)
+    );
+}
+
+/**
+ * Check whether "taskId is blocked by blockerId" would close a loop
+ * @param {number} taskId - Task that would be blocked
+ * @param {number} blockerId - Task that would block it
+ * @param {Array} tasks - All active tasks
+ * @param {Object} [overrides] - { [taskId]: blockedBy } for edits not saved yet
+ * @returns {boolean} - True if blockerId already depends on taskId
+ */
+export function wouldCreateCycle(taskId, blockerId, tasks, overrides = {}) {
+    if (taskId === blockerId) return true;
+
+    const byId = new Map(tasks.map(task => [task.id, task]));
+    const getBlockedBy = id => overrides[id] || (byId.get(id) && byId.get(id).blockedBy) || [];
+
+    // Walk everything the blocker waits on; finding the task means a cycle
+    const seen = new Set();
+    const stack = [blockerId];
+    while (stack.length > 0) {
+        const id = stack.pop();
+        if (id === taskId) return true;
+        if (seen.has(id)) continue;
+        seen.add(id);
+        stack.push(...getBlockedBy(id));
+    }
+
+    return false;
+}
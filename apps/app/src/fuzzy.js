@@ -0,0 +1,89 @@
+/**
+ * Fuzzy Matching
+ * Scores loosely spoken or typed references against task text
+ */
+
+const STOP_WORDS = new Set(['a', 'an', 'the', 'to', 'for', 'of', 'on', 'in', 'and', 'my', 'task', 'one']);
+
+/**
+ * Split text into lowercase word tokens, dropping filler words
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} - Tokens
+ */
+export function tokenize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(token => token && !STOP_WORDS.has(token));
+}
+
+/**
+ * Score how well a query matches some text
+ * @param {string} query - What the user said or typed
+ * @param {string} text - Text to match against
+ * @returns {number} - 0 (no match) to 1 (every query word found)
+ */
+export function scoreMatch(query, text) {
+    const queryTokens = tokenize(query);
+    const textTokens = tokenize(text);
+    if (queryTokens.length === 0 || textTokens.length === 0) return 0;
+
+    const total = queryTokens.reduce((sum, queryToken) => {
+        const best = Math.max(...textTokens.map(textToken => scoreToken(queryToken, textToken)));
+        return sum + best;
+    }, 0);
+
+    return total / queryTokens.length;
+}
+
+/**
+ * Rank items by how well they match a query
+ * @param {string} query - What the user said or typed
+ * @param {Array} items - Items to rank
+ * @param {Function} getText - Returns the searchable text for an item
+ * @param {number} [minScore] - Drop items scoring below this
+ * @returns {Array} - [{ item, score }] best first
+ */
+export function rankMatches(query, items, getText, minScore = 0.5) {
+    return items
+        .map(item => ({ item, score: scoreMatch(query, getText(item)) }))
+        .filter(match => match.score >= minScore)
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Score a single word pair, tolerating prefixes and transcription typos
+ * @private
+ */
+function scoreToken(queryToken, textToken) {
+    if (queryToken === textToken) return 1;
+
+    // A single letter starts too many words to count as a match
+    const isPrefix = textToken.startsWith(queryToken) || queryToken.startsWith(textToken);
+    if (isPrefix && Math.min(queryToken.length, textToken.length) >= 2) return 0.8;
+
+    const longest = Math.max(queryToken.length, textToken.length);
+    if (longest < 4) return 0;
+
+    const similarity = 1 - levenshtein(queryToken, textToken) / longest;
+    return similarity >= 0.7 ? similarity * 0.8 : 0;
+}
+
+/**
+ * Edit distance between two strings
+ * @private
+ */
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
@@ -0,0 +1,345 @@
+/**
+ * iCalendar
+ * VTODO/VEVENT export of tasks and VTODO import (RFC 5545)
+ */
+
+import { toDateKey } from './date-parser.js';
+
+const PRODUCT_ID = '-//Dev Tasks//R1 Creation//EN';
+const UID_PATTERN = /^devtask-(\d+)@dev-tasks$/;
+const BYDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_CODES = ['MO', 'TU', 'WE', 'TH', 'FR'];
+
+// P0 is the most urgent; iCalendar uses 1 (high) to 9 (low)
+const PRIORITY_TO_ICAL = { P0: 1, P1: 3, P2: 5, P3: 9 };
+
+/**
+ * Build an .ics calendar from tasks
+ * @param {Array} tasks - Tasks to export
+ * @param {Object} [options]
+ * @param {boolean} [options.includeEvents] - Also add an all-day VEVENT on each due date
+ * @returns {string} - iCalendar text
+ */
+export function exportICalendar(tasks, options = {}) {
+    const stamp = formatDateTime(new Date().toISOString());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN'
+    ];
+
+    tasks.forEach(task => {
+        const uid = getTaskUid(task);
+        const categories = [task.project, task.organization].filter(Boolean);
+
+        lines.push('BEGIN:VTODO');
+        lines.push(`UID:${uid}`);
+        lines.push(`DTSTAMP:${stamp}`);
+        lines.push(`SUMMARY:${escapeText(task.task)}`);
+        if (task.createdAt) lines.push(`CREATED:${formatDateTime(task.createdAt)}`);
+        if (task.dueDate) lines.push(formatDue('DUE', task));
+        if (categories.length) lines.push(`CATEGORIES:${categories.map(escapeText).join(',')}`);
+        if (task.project) lines.push(`X-DEV-TASKS-PROJECT:${escapeText(task.project)}`);
+        if (task.organization) lines.push(`X-DEV-TASKS-ORGANIZATION:${escapeText(task.organization)}`);
+        if (PRIORITY_TO_ICAL[task.priority]) lines.push(`PRIORITY:${PRIORITY_TO_ICAL[task.priority]}`);
+        if (task.repeat && task.dueDate) lines.push(`RRULE:${formatRepeatRule(task.repeat)}`);
+        lines.push(`STATUS:${task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+        if (task.completed && task.completedAt) lines.push(`COMPLETED:${formatDateTime(task.completedAt)}`);
+        lines.push('END:VTODO');
+
+        if (options.includeEvents && task.dueDate) {
+            const nextDay = new Date(`${task.dueDate}T00:00:00`);
+            nextDay.setDate(nextDay.getDate() + 1);
+
+            lines.push('BEGIN:VEVENT');
+            lines.push(`UID:${uid.replace('@', '-due@')}`);
+            lines.push(`DTSTAMP:${stamp}`);
+            lines.push(`SUMMARY:${escapeText(`Due: ${task.task}`)}`);
+            lines.push(formatDue('DTSTART', task));
+            // A timed event with no end is a moment; an all-day one runs to the next day
+            if (!task.dueTime) lines.push(`DTEND;VALUE=DATE:${formatDate(toDateKey(nextDay))}`);
+            if (categories.length) lines.push(`CATEGORIES:${categories.map(escapeText).join(',')}`);
+            lines.push('TRANSP:TRANSPARENT');
+            lines.push('END:VEVENT');
+        }
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Read the VTODOs in an .ics file as tasks
+ * Tasks exported from here get their id back from the UID; others keep it in icalUid
+ * @param {string} text - iCalendar text
+ * @returns {Array} - Tasks
+ * @throws {Error} - If the text isn't an iCalendar file
+ */
+export function parseICalendar(text) {
+    if (!/^BEGIN:VCALENDAR/m.test(text)) {
+        throw new Error('Not an iCalendar file');
+    }
+
+    // Unfold continuation lines before reading properties
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const todos = [];
+    let current = null;
+    // Nested components such as VALARM carry their own SUMMARY and must not overwrite the task's
+    let nested = 0;
+
+    lines.forEach(line => {
+        if (line === 'BEGIN:VTODO') {
+            current = {};
+            nested = 0;
+        } else if (line === 'END:VTODO') {
+            if (current) todos.push(current);
+            current = null;
+        } else if (current && line.startsWith('BEGIN:')) {
+            nested++;
+        } else if (current && line.startsWith('END:')) {
+            nested = Math.max(0, nested - 1);
+        } else if (current && nested === 0) {
+            const property = parseProperty(line);
+            if (property) current[property.name] = property;
+        }
+    });
+
+    return todos
+        .filter(todo => todo.SUMMARY && unescapeText(todo.SUMMARY.value).trim())
+        .map(todoToTask);
+}
+
+/**
+ * @private
+ */
+function todoToTask(todo) {
+    const uid = todo.UID ? todo.UID.value : '';
+    const ownUid = uid.match(UID_PATTERN);
+    const categories = todo.CATEGORIES ? splitList(todo.CATEGORIES.value) : [];
+    const completed = todo.STATUS ? todo.STATUS.value === 'COMPLETED' : !!todo.COMPLETED;
+    const dueDate = todo.DUE ? parseDate(todo.DUE.value) : '';
+    const dueTime = todo.DUE ? parseTime(todo.DUE.value) : '';
+
+    const task = {
+        task: unescapeText(todo.SUMMARY.value),
+        // Fall back to categories for calendars that drop the X- properties
+        project: todo['X-DEV-TASKS-PROJECT'] ? unescapeText(todo['X-DEV-TASKS-PROJECT'].value) : (categories[0] || ''),
+        organization: todo['X-DEV-TASKS-ORGANIZATION'] ? unescapeText(todo['X-DEV-TASKS-ORGANIZATION'].value) : (categories[1] || ''),
+        dueDate,
+        dueTime,
+        priority: parsePriority(todo.PRIORITY ? todo.PRIORITY.value : ''),
+        repeat: todo.RRULE ? parseRepeatRule(todo.RRULE.value, dueDate) : null,
+        completed,
+        completedAt: completed && todo.COMPLETED ? parseDateTime(todo.COMPLETED.value) : null,
+        createdAt: todo.CREATED ? parseDateTime(todo.CREATED.value) : new Date().toISOString()
+    };
+
+    if (ownUid) {
+        task.id = Number(ownUid[1]);
+    } else {
+        task.icalUid = uid;
+    }
+
+    return task;
+}
+
+/**
+ * @private
+ */
+function getTaskUid(task) {
+    return task.icalUid || `devtask-${task.id}@dev-tasks`;
+}
+
+/**
+ * @private
+ */
+function formatRepeatRule(rule) {
+    switch (rule.type) {
+        case 'daily': return 'FREQ=DAILY';
+        case 'interval': return `FREQ=DAILY;INTERVAL=${rule.interval}`;
+        case 'weekdays': return `FREQ=WEEKLY;BYDAY=${WEEKDAY_CODES.join(',')}`;
+        case 'weekly': return `FREQ=WEEKLY;BYDAY=${rule.days.map(day => BYDAY_CODES[day]).join(',')}`;
+        case 'monthly': return 'FREQ=MONTHLY';
+        default: return '';
+    }
+}
+
+/**
+ * @private
+ */
+function parseRepeatRule(value, dueDate) {
+    const parts = {};
+    value.split(';').forEach(part => {
+        const [key, partValue] = part.split('=');
+        parts[key] = partValue;
+    });
+
+    const interval = parseInt(parts.INTERVAL, 10) || 1;
+    const byDay = parts.BYDAY ? parts.BYDAY.split(',').map(code => BYDAY_CODES.indexOf(code.slice(-2))) : [];
+
+    switch (parts.FREQ) {
+        case 'DAILY':
+            return interval > 1 ? { type: 'interval', interval } : { type: 'daily' };
+        case 'WEEKLY': {
+            if (byDay.length === 5 && WEEKDAY_CODES.every(code => byDay.includes(BYDAY_CODES.indexOf(code)))) {
+                return { type: 'weekdays' };
+            }
+            const days = byDay.filter(day => day >= 0);
+            if (days.length === 0 && dueDate) {
+                days.push(new Date(`${dueDate}T00:00:00`).getDay());
+            }
+            return days.length ? { type: 'weekly', days } : null;
+        }
+        case 'MONTHLY':
+            return { type: 'monthly' };
+        default:
+            return null;
+    }
+}
+
+/**
+ * @private
+ */
+function parsePriority(value) {
+    const level = parseInt(value, 10);
+    if (!level) return '';
+    if (level <= 2) return 'P0';
+    if (level <= 4) return 'P1';
+    if (level <= 6) return 'P2';
+    return 'P3';
+}
+
+/**
+ * "NAME;PARAM=x:value" into { name, value }
+ * @private
+ */
+function parseProperty(line) {
+    // The value starts after the first colon that isn't inside a quoted parameter
+    let inQuotes = false;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        if (line[i] === ':' && !inQuotes) {
+            const name = line.slice(0, i).split(';')[0].toUpperCase();
+            return { name, value: line.slice(i + 1) };
+        }
+    }
+    return null;
+}
+
+/**
+ * @private
+ */
+function formatDate(dateKey) {
+    return dateKey.replace(/-/g, '');
+}
+
+/**
+ * DUE or DTSTART as a floating local time, or a date for whole-day tasks
+ * @private
+ */
+function formatDue(name, task) {
+    if (!task.dueTime) return `${name};VALUE=DATE:${formatDate(task.dueDate)}`;
+    return `${name}:${formatDate(task.dueDate)}T${task.dueTime.replace(':', '')}00`;
+}
+
+/**
+ * @private
+ */
+function formatDateTime(isoString) {
+    const date = new Date(isoString);
+    if (isNaN(date.getTime())) return formatDateTime(new Date(0).toISOString());
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Date or date-time value into a local 'YYYY-MM-DD'
+ * @private
+ */
+function parseDate(value) {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})(T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) return '';
+    if (!match[4] || !match[8]) return `${match[1]}-${match[2]}-${match[3]}`;
+
+    // UTC times land on the device's local calendar day
+    return toDateKey(new Date(parseDateTime(value)));
+}
+
+/**
+ * Time part of a date-time value as local 'HH:MM'; '' for a plain date
+ * @private
+ */
+function parseTime(value) {
+    if (!/T\d{6}Z?$/.test(value)) return '';
+    const date = new Date(parseDateTime(value));
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+/**
+ * @private
+ */
+function parseDateTime(value) {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) return new Date().toISOString();
+
+    const [, year, month, day, hours = '00', minutes = '00', seconds = '00', utc] = match;
+    const date = utc
+        ? new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds))
+        : new Date(year, month - 1, day, hours, minutes, seconds);
+    return date.toISOString();
+}
+
+/**
+ * @private
+ */
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * @private
+ */
+function unescapeText(text) {
+    return text.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Split a comma-separated value, respecting escaped commas
+ * @private
+ */
+function splitList(value) {
+    return value.split(/(?<!\\),/).map(unescapeText).map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Fold lines longer than 75 octets (RFC 5545 section 3.1)
+ * @private
+ */
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    if (encoder.encode(line).length <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+
+    for (const char of line) {
+        const charBytes = encoder.encode(char).length;
+        // Continuation lines start with a space, which counts towards the limit
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentBytes + charBytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
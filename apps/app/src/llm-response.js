@@ -0,0 +1,170 @@
+/**
+ * LLM Response
+ * Pulls JSON out of LLM replies and checks it against what the prompt asked for
+ */
+
+/**
+ * Find the JSON value in a plugin message
+ * Replies can arrive as an object, a JSON string, or JSON wrapped in prose or a code fence.
+ * @param {*} message - Message passed to onPluginMessage
+ * @returns {*} - Parsed value, or null if there is none
+ */
+export function extractJson(message) {
+    const candidates = message && typeof message === 'object'
+        ? [message.data, message.message]
+        : [message];
+
+    for (const candidate of candidates) {
+        if (candidate && typeof candidate === 'object') return candidate;
+        if (typeof candidate !== 'string') continue;
+
+        const parsed = parseJsonText(candidate);
+        if (parsed !== null) return parsed;
+    }
+
+    return null;
+}
+
+/**
+ * Check a parsed reply against a schema, keeping whatever is usable
+ * Schema fields are 'string', 'string[]', 'object', or an array of allowed values.
+ * Null or missing fields are simply absent; wrongly typed ones are dropped.
+ * @param {*} value - Parsed reply
+ * @param {Object} schema - { required: [field], fields: { field: type } }
+ * @returns {Object} - { ok, data, errors } where data holds the valid fields and errors names the bad ones
+ */
+export function validateResponse(value, schema) {
+    const data = {};
+    const errors = [];
+
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { ok: false, data, errors: ['response'] };
+    }
+
+    Object.entries(schema.fields).forEach(([field, type]) => {
+        const fieldValue = value[field];
+        if (fieldValue === undefined || fieldValue === null) return;
+
+        const checked = checkField(fieldValue, type);
+        if (checked === undefined) {
+            errors.push(field);
+        } else {
+            data[field] = checked;
+        }
+    });
+
+    schema.required.forEach(field => {
+        const present = typeof data[field] === 'string' ? data[field].trim() : data[field] !== undefined;
+        if (!present && !errors.includes(field)) errors.push(field);
+    });
+
+    const ok = schema.required.every(field => !errors.includes(field));
+    return { ok, data, errors };
+}
+
+/**
+ * Check a reply that may hold several records
+ * Accepts an array, an object with the list under listField, or a single record.
+ * @param {*} value - Parsed reply
+ * @param {Object} schema - Schema for each record, as for validateResponse
+ * @param {string} listField - Field the list is expected under, e.g. 'tasks'
+ * @returns {Object} - { ok, items, rejected, errors } where items are the valid records
+ * and rejected holds the usable fields of the others
+ */
+export function validateResponseList(value, schema, listField) {
+    let records = [value];
+    if (Array.isArray(value)) {
+        records = value;
+    } else if (value && typeof value === 'object' && Array.isArray(value[listField])) {
+        records = value[listField];
+    }
+
+    const results = records.map(record => validateResponse(record, schema));
+    const failed = results.filter(result => !result.ok);
+
+    return {
+        ok: results.some(result => result.ok),
+        items: results.filter(result => result.ok).map(result => result.data),
+        rejected: failed.map(result => result.data),
+        errors: [...new Set(failed.flatMap(result => result.errors))]
+    };
+}
+
+/**
+ * @private
+ */
+function checkField(value, type) {
+    if (Array.isArray(type)) {
+        return type.includes(value) ? value : undefined;
+    }
+
+    switch (type) {
+        case 'string':
+            // A bare number still reads fine as text
+            if (typeof value === 'number') return String(value);
+            return typeof value === 'string' ? value : undefined;
+        case 'string[]':
+            if (typeof value === 'string') return value.trim() ? [value] : [];
+            return Array.isArray(value) ? value.filter(item => typeof item === 'string') : undefined;
+        case 'object':
+            return typeof value === 'object' && !Array.isArray(value) ? value : undefined;
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * @private
+ */
+function parseJsonText(text) {
+    const trimmed = text.trim();
+    const attempts = [trimmed];
+
+    // Code fences first, then anything that looks like an object or array
+    const fence = /```(?:json)?\s*([\s\S]*?)```/gi;
+    let match;
+    while ((match = fence.exec(trimmed)) !== null) {
+        attempts.push(match[1].trim());
+    }
+    attempts.push(...findBalanced(trimmed));
+
+    for (const attempt of attempts) {
+        try {
+            return JSON.parse(attempt);
+        } catch (e) {
+            // Try the next candidate
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Every top-level {...} or [...] span, skipping brackets inside strings
+ * @private
+ */
+function findBalanced(text) {
+    const spans = [];
+    let depth = 0;
+    let start = -1;
+    let inString = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inString) {
+            if (char === '\\') i++;
+            else if (char === '"') inString = false;
+        } else if (char === '"' && depth > 0) {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            if (depth === 0) start = i;
+            depth++;
+        } else if ((char === '}' || char === ']') && depth > 0) {
+            depth--;
+            if (depth === 0) spans.push(text.slice(start, i + 1));
+        }
+    }
+
+    return spans;
+}
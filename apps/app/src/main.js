@@ -1,5 +1,16 @@
 // Dev Tasks - R1 To-Do List App for Software Development
 
+import deviceControls from './lib/device-controls.js';
+import { SCHEMA_VERSION, decodePayload, encodePayload, upgradePayload } from './storage-schema.js';
+import { rankMatches } from './fuzzy.js';
+import { exportJson, exportCsv, exportMarkdown, parseImport } from './data-transfer.js';
+import { exportICalendar } from './ical.js';
+import { createTrackerClient, syncTasks } from './tracker-sync.js';
+import { getOpenBlockers, getUnblocked, isBlocked, wouldCreateCycle } from './dependencies.js';
+import { parseDate, parseDue, parseTime, resolveDue, toDateKey } from './date-parser.js';
+import { extractJson, validateResponse, validateResponseList } from './llm-response.js';
+import { countByProject, countCompletedByDay, countCompletedByWeek, getAverageCompletionTime, getBurndown } from './stats.js';
+
 // ===========================================
 // State Management
 // ===========================================
@@ -7,15 +18,113 @@
 let tasks = [];
 let projects = [];
 let organizations = [];
-let currentSortMode = 'date'; // 'date' or 'project'
+let tags = [];
+let projectColors = {}; // project name -> one of PROJECT_COLORS
+let projectOrgs = {}; // project name -> organization it belongs to
+let currentSortMode = 'date'; // 'date', 'project' or 'priority'
+let currentFilter = createDefaultFilter();
+let settings = createDefaultSettings();
+let archivedTasks = [];
 let isListening = false;
-let currentTaskDraft = {
-    task: '',
-    project: '',
-    organization: '',
-    dueDate: ''
-};
+let voiceMode = 'task'; // 'task', 'subtasks', 'command' or 'search'
+let voiceTimeout = null;
+let taskDrafts = [];
+let editingDraftIndex = -1;
 let editingTaskId = null;
+let editingSubtasks = [];
+let editingBlockedBy = [];
+let editingTags = [];
+let lastGeneratedId = 0;
+let highlightedTaskId = null;
+let focusedFieldIndex = -1;
+let sideClickTimer = null;
+let undoStack = [];
+let redoStack = [];
+let toastTimer = null;
+let toastAction = null;
+let pendingCommand = null;
+let commandOptionIndex = 0;
+let commandPanelTimer = null;
+let syncConfig = { baseUrl: '', token: '', lastSyncAt: null };
+let isSyncing = false;
+let syncTimer = null;
+let reminderLog = {}; // 'taskId|dueDate' -> { state, at, until }
+let activeReminders = [];
+let timerTick = null;
+let longPressTaskId = null;
+let focusSession = null; // { taskId, phase, endsAt, remainingMs, started, completedWork }
+let focusTick = null;
+let pendingSpeech = []; // messages held back until the voice reply is in
+let statsCardIndex = 0;
+
+const SORT_MODES = ['date', 'project', 'priority'];
+const SORT_ICONS = { date: '📅', project: '📁', priority: '🔥' };
+const PRIORITIES = ['P0', 'P1', 'P2', 'P3'];
+const PROJECT_COLORS = ['red', 'orange', 'yellow', 'green', 'blue', 'purple'];
+const REPEAT_TYPES = ['daily', 'weekdays', 'weekly', 'monthly', 'interval'];
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DOUBLE_CLICK_MS = 400;
+const STORAGE_KEY = 'dev_tasks_data';
+const BACKUP_KEY = 'dev_tasks_data_backup';
+const HISTORY_KEY = 'dev_tasks_history';
+const ARCHIVE_KEY = 'dev_tasks_archive';
+const SYNC_KEY = 'dev_tasks_sync';
+const SYNC_DELAY_MS = 2000;
+const REMINDERS_KEY = 'dev_tasks_reminders';
+const REMINDER_LEADS = ['off', 'morning', '1h', '3h', '1d'];
+const REMINDER_LEAD_MINUTES = { '1h': 60, '3h': 3 * 60, '1d': 24 * 60 };
+const REMINDER_MORNING_HOUR = 9;
+const REMINDER_CHECK_MS = 60 * 1000;
+const SNOOZE_MS = 15 * 60 * 1000;
+const TIMER_TICK_MS = 1000;
+const FOCUS_WORK_OPTIONS = [15, 20, 25, 30, 45, 50];
+const FOCUS_BREAK_OPTIONS = [3, 5, 10];
+const FOCUS_LONG_BREAK_OPTIONS = [10, 15, 20, 30];
+const FOCUS_LONG_BREAK_EVERY_OPTIONS = [2, 3, 4, 0]; // 0 = never
+const FOCUS_PHASE_LABELS = { work: 'Focus', break: 'Break', longBreak: 'Long break' };
+const FOCUS_MAX_MINUTES = 90;
+const ARCHIVE_AGE_OPTIONS = [1, 3, 7, 14, 30, 0]; // days, 0 = never
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EXPORT_FILES = {
+    json: { extension: 'json', type: 'application/json' },
+    csv: { extension: 'csv', type: 'text/csv' },
+    markdown: { extension: 'md', type: 'text/markdown' },
+    ical: { extension: 'ics', type: 'text/calendar' }
+};
+const HISTORY_LIMIT = 20;
+const SEARCH_RESULT_LIMIT = 20;
+const STATS_WEEKS = 4;
+const STATS_BURNDOWN_DAYS = 14;
+const TOAST_MS = 3000;
+const COMMAND_INTENTS = ['add', 'complete', 'reschedule', 'delete', 'query', 'stats'];
+const LLM_TIMEOUT_MS = 30 * 1000;
+const TASK_RESPONSE_FIELDS = {
+    task: 'string',
+    project: 'string',
+    organization: 'string',
+    dueDate: 'string',
+    dueTime: 'string',
+    dueText: 'string',
+    priority: 'string',
+    repeat: 'object',
+    tags: 'string[]',
+    subtasks: 'string[]'
+};
+const RESPONSE_SCHEMAS = {
+    task: { required: ['task'], fields: TASK_RESPONSE_FIELDS },
+    subtasks: { required: ['subtasks'], fields: { subtasks: 'string[]' } },
+    command: { required: ['intent'], fields: { ...TASK_RESPONSE_FIELDS, intent: COMMAND_INTENTS, range: 'string' } },
+    search: { required: ['query'], fields: { query: 'string' } }
+};
+const MISSING_RESPONSE_MESSAGES = {
+    task: "Didn't catch the task.",
+    subtasks: "Didn't catch any steps.",
+    command: "Didn't catch a command.",
+    search: "Didn't catch what to look for."
+};
+const QUERY_RANGES = ['today', 'tomorrow', 'overdue', 'week'];
+const FILTER_RANGES = ['all', 'today', 'overdue', 'week'];
+const FILTER_RANGE_LABELS = { all: 'All', today: 'Today', overdue: 'Overdue', week: 'This week' };
 
 // ===========================================
 // Initialization
@@ -26,19 +135,48 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     // Load saved data
     await loadData();
+    await loadHistory();
+    await loadArchive();
+    await loadSyncConfig();
+    await loadReminders();
+    archiveOldTasks();
     
     // Set up event listeners
     setupEventListeners();
     
     // Render initial view
+    updateSortButton();
     renderTasks();
+    renderTimer();
+    runSync();
+    checkReminders();
+    setInterval(checkReminders, REMINDER_CHECK_MS);
     
     // Keyboard fallback for development
     if (typeof PluginMessageHandler === 'undefined') {
         window.addEventListener('keydown', (event) => {
-            if (event.code === 'Space') {
+            if (event.code === 'Space' && !isTextEntry(event.target)) {
                 event.preventDefault();
                 window.dispatchEvent(new CustomEvent('sideClick'));
+            } else if (event.code === 'KeyZ' && (event.ctrlKey || event.metaKey) && !isTextEntry(event.target)) {
+                event.preventDefault();
+                if (event.shiftKey) {
+                    redo();
+                } else {
+                    undo();
+                }
+            } else if ((event.code === 'ArrowUp' || event.code === 'ArrowDown') && !isTextEntry(event.target)) {
+                // Arrow keys stand in for the scroll wheel
+                event.preventDefault();
+                window.dispatchEvent(new CustomEvent(event.code === 'ArrowUp' ? 'scrollUp' : 'scrollDown'));
+            } else if (event.code === 'KeyL' && !event.repeat && !isTextEntry(event.target)) {
+                // Holding L stands in for a long press
+                window.dispatchEvent(new CustomEvent('longPressStart'));
+            }
+        });
+        window.addEventListener('keyup', (event) => {
+            if (event.code === 'KeyL' && !isTextEntry(event.target)) {
+                window.dispatchEvent(new CustomEvent('longPressEnd'));
             }
         });
     }
@@ -50,49 +188,92 @@ document.addEventListener('DOMContentLoaded', async () => {
 
 async function saveData() {
     const data = {
+        schemaVersion: SCHEMA_VERSION,
         tasks,
         projects,
         organizations,
-        currentSortMode
+        tags,
+        projectColors,
+        projectOrgs,
+        currentSortMode,
+        currentFilter,
+        settings
     };
     
-    if (window.creationStorage) {
-        try {
-            const encoded = btoa(JSON.stringify(data));
-            await window.creationStorage.plain.setItem('dev_tasks_data', encoded);
-            console.log('Data saved');
-        } catch (e) {
-            console.error('Error saving data:', e);
-        }
-    } else {
-        localStorage.setItem('dev_tasks_data', JSON.stringify(data));
+    try {
+        await writeStorage(STORAGE_KEY, encodePayload(data, !!window.creationStorage));
+        console.log('Data saved');
+    } catch (e) {
+        console.error('Error saving data:', e);
     }
 }
 
 async function loadData() {
-    let data = null;
+    let stored = null;
     
-    if (window.creationStorage) {
-        try {
-            const stored = await window.creationStorage.plain.getItem('dev_tasks_data');
-            if (stored) {
-                data = JSON.parse(atob(stored));
-            }
-        } catch (e) {
-            console.error('Error loading data:', e);
-        }
-    } else {
-        const stored = localStorage.getItem('dev_tasks_data');
-        if (stored) {
-            data = JSON.parse(stored);
-        }
+    try {
+        stored = await readStorage(STORAGE_KEY);
+    } catch (e) {
+        console.error('Error loading data:', e);
+        return;
+    }
+    
+    if (!stored) return;
+    
+    let data;
+    try {
+        data = decodePayload(stored);
+    } catch (e) {
+        // Keep the unreadable payload around instead of overwriting it on the next save
+        console.error('Stored data is unreadable, backing it up:', e);
+        await backupStoredData(stored);
+        return;
+    }
+    
+    const result = upgradePayload(data);
+    
+    if (result.dropped > 0 || result.fromVersion > SCHEMA_VERSION) {
+        console.warn(`Backing up stored data (version ${result.fromVersion}, ${result.dropped} unreadable tasks)`);
+        await backupStoredData(stored);
     }
     
-    if (data) {
-        tasks = data.tasks || [];
-        projects = data.projects || [];
-        organizations = data.organizations || [];
-        currentSortMode = data.currentSortMode || 'date';
+    data = result.data;
+    tasks = data.tasks;
+    projects = data.projects;
+    organizations = data.organizations;
+    tags = data.tags;
+    projectColors = data.projectColors;
+    projectOrgs = data.projectOrgs;
+    currentSortMode = SORT_MODES.includes(data.currentSortMode) ? data.currentSortMode : 'date';
+    currentFilter = normalizeFilter(data.currentFilter);
+    settings = normalizeSettings(data.settings);
+    
+    // Persist the migrated shape so the chain only runs once
+    if (result.fromVersion < SCHEMA_VERSION || result.dropped > 0) {
+        await saveData();
+    }
+}
+
+async function backupStoredData(stored) {
+    try {
+        await writeStorage(BACKUP_KEY, stored);
+    } catch (e) {
+        console.error('Error backing up data:', e);
+    }
+}
+
+async function readStorage(key) {
+    if (window.creationStorage) {
+        return window.creationStorage.plain.getItem(key);
+    }
+    return localStorage.getItem(key);
+}
+
+async function writeStorage(key, value) {
+    if (window.creationStorage) {
+        await window.creationStorage.plain.setItem(key, value);
+    } else {
+        localStorage.setItem(key, value);
     }
 }
 
@@ -104,18 +285,145 @@ function setupEventListeners() {
     // Main view buttons
     document.getElementById('addBtn').addEventListener('click', showAddView);
     document.getElementById('sortBtn').addEventListener('click', toggleSort);
+    document.getElementById('undoBtn').addEventListener('click', undo);
+    document.getElementById('toastActionBtn').addEventListener('click', handleToastAction);
+    document.getElementById('filterBtn').addEventListener('click', showFilterView);
+    document.getElementById('searchBtn').addEventListener('click', showSearchView);
+    document.getElementById('closeSearchBtn').addEventListener('click', closeSearchView);
+    document.getElementById('searchInput').addEventListener('input', renderSearchResults);
+    document.getElementById('searchResults').addEventListener('click', handleSearchResultClick);
+    document.getElementById('archiveBtn').addEventListener('click', showArchiveView);
+    document.getElementById('closeArchiveBtn').addEventListener('click', closeArchiveView);
+    document.getElementById('statsBtn').addEventListener('click', showStatsView);
+    document.getElementById('closeStatsBtn').addEventListener('click', closeStatsView);
+    document.getElementById('archiveList').addEventListener('click', handleArchiveListClick);
+    document.getElementById('purgeArchiveBtn').addEventListener('click', purgeArchive);
+    document.getElementById('archiveAgeSelect').addEventListener('change', updateArchiveAge);
+    document.getElementById('transferBtn').addEventListener('click', showTransferView);
+    document.getElementById('closeTransferBtn').addEventListener('click', closeTransferView);
+    document.getElementById('exportFormatSelect').addEventListener('change', renderExport);
+    document.getElementById('exportEventsToggle').addEventListener('change', renderExport);
+    document.getElementById('copyExportBtn').addEventListener('click', copyExport);
+    document.getElementById('downloadExportBtn').addEventListener('click', downloadExport);
+    document.getElementById('importBtn').addEventListener('click', runImport);
+    document.getElementById('openSyncBtn').addEventListener('click', showSyncView);
+    document.getElementById('closeSyncBtn').addEventListener('click', closeSyncView);
+    document.getElementById('saveSyncBtn').addEventListener('click', saveSyncSettings);
+    document.getElementById('syncNowBtn').addEventListener('click', () => runSync(true));
+    document.getElementById('remindersBtn').addEventListener('click', showRemindersView);
+    document.getElementById('closeRemindersBtn').addEventListener('click', closeRemindersView);
+    document.getElementById('reminderLeadSelect').addEventListener('change', updateReminderLead);
+    document.getElementById('reminderSnoozeBtn').addEventListener('click', snoozeReminder);
+    document.getElementById('reminderDismissBtn').addEventListener('click', dismissReminder);
+    
+    // Tidy up when the creation comes back to the foreground
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState !== 'visible') return;
+        if (archiveOldTasks()) {
+            renderTasks();
+        }
+        runSync();
+        checkReminders();
+    });
+    document.getElementById('closeFilterBtn').addEventListener('click', closeFilterView);
+    document.getElementById('filterView').addEventListener('click', handleFilterOptionClick);
+    document.getElementById('manageTagsBtn').addEventListener('click', showTagsView);
+    document.getElementById('closeTagsBtn').addEventListener('click', closeTagsView);
+    document.getElementById('tagList').addEventListener('click', handleTagListClick);
+    document.getElementById('manageNamesBtn').addEventListener('click', showNamesView);
+    document.getElementById('closeNamesBtn').addEventListener('click', closeNamesView);
+    document.getElementById('namesView').addEventListener('click', handleNameListClick);
+    document.getElementById('commandCancelBtn').addEventListener('click', cancelCommand);
+    document.getElementById('commandOptions').addEventListener('click', (event) => {
+        const option = event.target.closest('.command-option');
+        if (option) {
+            resolvePendingCommand(Number(option.dataset.taskId));
+        }
+    });
     
     // Add view buttons
     document.getElementById('cancelAddBtn').addEventListener('click', cancelAdd);
-    document.getElementById('confirmTaskBtn').addEventListener('click', confirmTask);
+    document.getElementById('confirmTaskBtn').addEventListener('click', confirmTasks);
+    document.getElementById('draftList').addEventListener('click', handleDraftListClick);
+    document.getElementById('draftDoneBtn').addEventListener('click', saveDraftEdit);
+    document.getElementById('draftOrgInput').addEventListener('input', renderDraftProjectOptions);
+    document.getElementById('retryVoiceBtn').addEventListener('click', startVoiceInput);
     
     // Edit view buttons
     document.getElementById('cancelEditBtn').addEventListener('click', cancelEdit);
     document.getElementById('saveEditBtn').addEventListener('click', saveEdit);
+    document.getElementById('completeTaskBtn').addEventListener('click', completeEditingTask);
     document.getElementById('deleteTaskBtn').addEventListener('click', deleteTask);
+    document.getElementById('addSubtaskBtn').addEventListener('click', addSubtaskFromInput);
+    document.getElementById('newSubtaskInput').addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            addSubtaskFromInput();
+        }
+    });
+    document.getElementById('subtaskList').addEventListener('click', handleSubtaskListClick);
+    document.getElementById('editDueInput').addEventListener('input', renderDueHint);
+    document.getElementById('editOrgSelect').addEventListener('change', handleEditOrgChange);
+    document.getElementById('editProjectSelect').addEventListener('change', handleEditProjectChange);
+    document.getElementById('editRepeatSelect').addEventListener('change', updateRepeatFields);
+    document.getElementById('editRepeatDays').addEventListener('click', (event) => {
+        const dayBtn = event.target.closest('.day-btn');
+        if (dayBtn) {
+            dayBtn.classList.toggle('selected');
+        }
+    });
+    
+    // Task list (delegated, since items are re-rendered)
+    document.getElementById('taskList').addEventListener('click', (event) => {
+        const item = event.target.closest('.task-item');
+        if (item) {
+            showEditView(Number(item.dataset.taskId));
+        }
+    });
     
     // Side button for voice input
     window.addEventListener('sideClick', handleSideClick);
+    
+    // Long press starts or stops the timer
+    window.addEventListener('longPressStart', handleLongPressStart);
+    window.addEventListener('longPressEnd', handleLongPressEnd);
+    document.getElementById('timerIndicator').addEventListener('click', stopTimer);
+    document.getElementById('editTimerBtn').addEventListener('click', () => {
+        const task = tasks.find(t => t.id === editingTaskId);
+        if (task) {
+            toggleTimer(task);
+        }
+    });
+    
+    // Tags
+    document.getElementById('editTagList').addEventListener('click', handleEditTagListClick);
+    document.getElementById('addTagBtn').addEventListener('click', addTagFromInput);
+    document.getElementById('newTagInput').addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            addTagFromInput();
+        }
+    });
+    document.getElementById('addTagSelect').addEventListener('change', addTagFromSelect);
+    
+    // Dependencies
+    document.getElementById('dependencyList').addEventListener('click', handleDependencyListClick);
+    document.getElementById('addDependencySelect').addEventListener('change', addDependencyFromSelect);
+    
+    // Focus mode
+    document.getElementById('editFocusBtn').addEventListener('click', () => showFocusView(editingTaskId));
+    document.getElementById('closeFocusBtn').addEventListener('click', closeFocusView);
+    document.getElementById('focusToggleBtn').addEventListener('click', toggleFocus);
+    document.querySelectorAll('.focus-setting').forEach(select => {
+        select.addEventListener('change', updateFocusSettings);
+    });
+    
+    // Scroll wheel for list and form navigation (side button is handled above)
+    deviceControls.init({ sideButtonEnabled: false, keyboardFallback: false });
+    deviceControls.on('scrollWheel', handleScrollWheel);
+    
+    // Shake to undo
+    setupShakeDetection();
 }
 
 // ===========================================
@@ -127,12 +435,15 @@ function showView(viewId) {
         view.classList.remove('active');
     });
     document.getElementById(viewId).classList.add('active');
+    
+    // Wheel focus never carries over between views
+    clearFieldFocus();
 }
 
 function showAddView() {
-    resetTaskDraft();
+    resetTaskDrafts();
     showView('addView');
-    updateTaskPreview();
+    renderDrafts();
 }
 
 function showEditView(taskId) {
@@ -141,15 +452,33 @@ function showEditView(taskId) {
     
     if (task) {
         document.getElementById('editTaskInput').value = task.task;
+        document.getElementById('completeTaskBtn').textContent = task.completed ? 'Reopen' : 'Mark Done';
         
-        // Populate project dropdown
-        populateEditDropdown('editProjectSelect', projects, task.project);
-        
-        // Populate org dropdown
+        // Populate org dropdown, then the projects that fit it
         populateEditDropdown('editOrgSelect', organizations, task.organization);
+        populateEditDropdown('editProjectSelect', getProjectsForOrg(task.organization, task.project), task.project);
         
         // Set due date
-        document.getElementById('editDueInput').value = task.dueDate || '';
+        document.getElementById('editDueInput').value = formatDueInput(task);
+        renderDueHint();
+        
+        document.getElementById('editPrioritySelect').value = task.priority || '';
+        
+        setRepeatFields(task.repeat);
+        
+        // Work on a copy of the subtasks so cancelling discards changes
+        editingSubtasks = (task.subtasks || []).map(subtask => ({ ...subtask }));
+        document.getElementById('editAutoComplete').checked = task.autoComplete !== false;
+        document.getElementById('newSubtaskInput').value = '';
+        document.getElementById('editVoiceText').textContent = 'Press side button to add steps';
+        document.getElementById('editVoiceText').classList.remove('error');
+        renderSubtasks();
+        editingTags = [...(task.tags || [])];
+        document.getElementById('newTagInput').value = '';
+        renderEditTags();
+        editingBlockedBy = [...(task.blockedBy || [])];
+        renderDependencies();
+        renderTimer();
         
         showView('editView');
     }
@@ -177,12 +506,18 @@ function populateEditDropdown(selectId, items, selectedValue) {
 }
 
 function cancelAdd() {
-    resetTaskDraft();
+    resetTaskDrafts();
     showView('mainView');
 }
 
 function cancelEdit() {
+    if (isListening) {
+        stopVoiceInput();
+    }
     editingTaskId = null;
+    editingSubtasks = [];
+    editingTags = [];
+    editingBlockedBy = [];
     showView('mainView');
 }
 
@@ -193,13 +528,171 @@ function cancelEdit() {
 function handleSideClick() {
     const currentView = document.querySelector('.view.active').id;
 
-    if (currentView === 'addView') {
+    if (currentView === 'mainView') {
+        handleMainSideClick();
+    } else if (currentView === 'focusView') {
+        toggleFocus();
+    } else if (currentView === 'statsView') {
+        // The wheel pages cards, so the button is the way back
+        closeStatsView();
+    } else if (focusedFieldIndex !== -1 && !isListening) {
+        // A field picked with the wheel takes the click instead of voice
+        activateFocusedField();
+    } else if (currentView === 'addView') {
         // Start/stop voice input
         if (!isListening) {
             startVoiceInput();
         } else {
             stopVoiceInput();
         }
+    } else if (currentView === 'editView') {
+        // Dictate steps for the task being edited
+        if (!isListening) {
+            startSubtaskVoiceInput();
+        } else {
+            stopVoiceInput();
+        }
+    } else if (currentView === 'searchView') {
+        // Speak a search query
+        if (!isListening) {
+            startSearchVoiceInput();
+        } else {
+            stopVoiceInput();
+        }
+    }
+}
+
+function handleMainSideClick() {
+    if (isListening) {
+        stopVoiceInput();
+        return;
+    }
+    
+    if (pendingCommand) {
+        const option = pendingCommand.candidates[commandOptionIndex];
+        resolvePendingCommand(option.id);
+        return;
+    }
+    
+    if (activeReminders.length > 0) {
+        dismissReminder();
+        return;
+    }
+    
+    if (highlightedTaskId === null) {
+        startCommandVoiceInput();
+        return;
+    }
+    
+    // Single click opens the highlighted task, double click completes it
+    if (sideClickTimer) {
+        clearTimeout(sideClickTimer);
+        sideClickTimer = null;
+        toggleTaskComplete(highlightedTaskId);
+        return;
+    }
+    
+    sideClickTimer = setTimeout(() => {
+        sideClickTimer = null;
+        showEditView(highlightedTaskId);
+    }, DOUBLE_CLICK_MS);
+}
+
+// ===========================================
+// Scroll Wheel Navigation
+// ===========================================
+
+function handleScrollWheel({ direction }) {
+    const currentView = document.querySelector('.view.active').id;
+    const step = direction === 'up' ? -1 : 1;
+    
+    if (currentView === 'mainView' && pendingCommand) {
+        moveCommandOption(step);
+    } else if (currentView === 'focusView') {
+        // Wheel up adds a minute
+        adjustFocusTime(-step);
+    } else if (currentView === 'statsView') {
+        moveStatsCard(step);
+    } else if (currentView === 'mainView') {
+        moveTaskCursor(step);
+    } else {
+        moveFieldFocus(step);
+    }
+}
+
+function moveTaskCursor(step) {
+    const items = [...document.querySelectorAll('#taskList .task-item')];
+    if (items.length === 0) return;
+    
+    const currentIndex = items.findIndex(item => Number(item.dataset.taskId) === highlightedTaskId);
+    
+    // Scrolling up past the first task clears the cursor so the side button is voice again
+    const nextIndex = Math.min(Math.max(currentIndex + step, -1), items.length - 1);
+    
+    highlightedTaskId = nextIndex === -1 ? null : Number(items[nextIndex].dataset.taskId);
+    updateTaskCursor();
+}
+
+function updateTaskCursor() {
+    document.querySelectorAll('#taskList .task-item').forEach(item => {
+        const isHighlighted = Number(item.dataset.taskId) === highlightedTaskId;
+        item.classList.toggle('highlighted', isHighlighted);
+        if (isHighlighted) {
+            item.scrollIntoView({ block: 'nearest' });
+        }
+    });
+}
+
+function getNavigableFields() {
+    const view = document.querySelector('.view.active');
+    return [...view.querySelectorAll('button, input, select, .subtask-item')]
+        .filter(field => !field.disabled && isVisible(field));
+}
+
+function moveFieldFocus(step) {
+    const fields = getNavigableFields();
+    if (fields.length === 0) return;
+    
+    // Scrolling up past the first field clears focus so the side button is voice again
+    focusedFieldIndex = Math.min(Math.max(focusedFieldIndex + step, -1), fields.length - 1);
+    updateFieldFocus(fields);
+}
+
+function updateFieldFocus(fields = getNavigableFields()) {
+    fields.forEach((field, index) => {
+        const isFocused = index === focusedFieldIndex;
+        field.classList.toggle('wheel-focus', isFocused);
+        if (isFocused) {
+            field.scrollIntoView({ block: 'nearest' });
+        }
+    });
+}
+
+function clearFieldFocus() {
+    focusedFieldIndex = -1;
+    document.querySelectorAll('.wheel-focus').forEach(field => field.classList.remove('wheel-focus'));
+}
+
+function activateFocusedField() {
+    const field = getNavigableFields()[focusedFieldIndex];
+    if (!field) {
+        clearFieldFocus();
+        return;
+    }
+    
+    if (field.tagName === 'SELECT') {
+        // Native pickers can't be opened from script, so step through options
+        field.selectedIndex = (field.selectedIndex + 1) % field.options.length;
+        field.dispatchEvent(new Event('change'));
+    } else if (field.tagName === 'INPUT' && field.type !== 'checkbox') {
+        field.focus();
+    } else {
+        field.click();
+    }
+    
+    // Clicks can re-render the form, so re-apply focus to whatever is now at the index
+    if (focusedFieldIndex !== -1) {
+        updateFieldFocus();
     }
 }
 
@@ -209,29 +702,43 @@ function handleSideClick() {
 
 function startVoiceInput() {
     isListening = true;
+    voiceMode = 'task';
+    armVoiceTimeout();
     
     const voiceStatus = document.getElementById('voiceStatus');
     const voiceText = document.getElementById('voiceText');
     
+    voiceStatus.classList.remove('error');
     voiceStatus.classList.add('listening');
-    voiceText.textContent = 'Listening... Describe your task';
+    document.getElementById('retryVoiceBtn').classList.remove('visible');
+    voiceText.textContent = 'Listening... Describe your tasks';
     
     // Send voice prompt to LLM
     if (typeof PluginMessageHandler !== 'undefined') {
-        const prompt = `Extract task information from the user's voice input. They will describe a software development task.
-        
-Extract these fields:
+        const prompt = `Extract task information from the user's voice input. They will describe one or more software development tasks, e.g. "fix the login bug, write tests for the parser by Friday, and update the README for the Acme repo".
+
+Return one entry per task. Details said once for several tasks (like a project or due date) apply to each task they cover.
+
+Extract these fields for each task:
 - task: The task description
-- project: Project name (if mentioned)
-- organization: Organization name (if mentioned)
+- project: Project name (if mentioned)${projects.length ? `; known projects: ${projects.map(describeProject).join(', ')}` : ''}
+- organization: Organization name (if mentioned; leave empty if it's only implied by a known project)
 - dueDate: Due date in YYYY-MM-DD format (if mentioned, interpret relative dates like "tomorrow", "next week", "in 3 days")
+- dueTime: Time of day in 24-hour HH:MM format (only if a time is mentioned, e.g. "at 3pm" = "15:00")
+- dueText: The user's exact words for the due date and time (e.g. "next Friday at 3pm"), or empty
+- priority: One of P0, P1, P2, P3 (if implied: "urgent", "critical" or "ASAP" = P0, "high priority" or "important" = P1, "normal" = P2, "low priority" or "whenever" = P3)
+- repeat: Repeat rule (if the task recurs, e.g. "every day", "every weekday", "every Monday", "monthly", "every 3 days"), otherwise null
+- tags: Short lowercase labels for the kind of work (e.g. "bug", "review", "infra", "blocked-on-design"), only if the user mentions them${tags.length ? `; prefer existing tags: ${tags.join(', ')}` : ''}
+- subtasks: List of individual steps (only if the user lists steps, otherwise empty)
 
-Current date: ${new Date().toISOString().split('T')[0]}
+Current date: ${toDateKey(new Date())} (${WEEKDAY_NAMES[new Date().getDay()]})
 
 Respond ONLY with valid JSON in this exact format:
-{"task":"description","project":"name or empty","organization":"name or empty","dueDate":"YYYY-MM-DD or empty"}
+{"tasks":[{"task":"description","project":"name or empty","organization":"name or empty","dueDate":"YYYY-MM-DD or empty","dueTime":"HH:MM or empty","dueText":"words or empty","priority":"P0-P3 or empty","repeat":{"type":"daily|weekdays|weekly|monthly|interval","days":["mon"],"interval":3} or null,"tags":["tag"],"subtasks":["step"]}]}
 
-Now listen for the user's task description.`;
+For "weekly" list the weekdays in "days"; for "interval" give the number of days in "interval". For a recurring task without an explicit due date, use the first occurrence as dueDate.
+
+Now listen for the user's task descriptions.`;
 
         PluginMessageHandler.postMessage(JSON.stringify({
             message: prompt,
@@ -246,8 +753,65 @@ Now listen for the user's task description.`;
     }
 }
 
+function startSubtaskVoiceInput() {
+    const task = tasks.find(t => t.id === editingTaskId);
+    if (!task) return;
+    
+    isListening = true;
+    voiceMode = 'subtasks';
+    armVoiceTimeout();
+    
+    const editVoiceText = document.getElementById('editVoiceText');
+    editVoiceText.classList.remove('error');
+    editVoiceText.classList.add('listening');
+    editVoiceText.textContent = 'Listening... List the steps';
+    
+    if (typeof PluginMessageHandler !== 'undefined') {
+        const prompt = `Extract the steps the user lists for an existing software development task.
+
+Task: "${task.task}"
+
+Each step should be a short, self-contained action.
+
+Respond ONLY with valid JSON in this exact format:
+{"subtasks":["first step","second step"]}
+
+Now listen for the user's steps.`;
+
+        PluginMessageHandler.postMessage(JSON.stringify({
+            message: prompt,
+            useLLM: true,
+            wantsR1Response: false
+        }));
+    } else {
+        // Browser fallback - simulate voice input
+        setTimeout(() => {
+            processSubtaskVoiceResponse({
+                subtasks: ['Write the migration', 'Add unit tests', 'Update the docs']
+            });
+        }, 2000);
+    }
+}
+
 function stopVoiceInput() {
-    isListening = false;
+    endListening();
+
+    if (voiceMode === 'command') {
+        hideCommandPanel();
+        return;
+    }
+
+    if (voiceMode === 'subtasks') {
+        const editVoiceText = document.getElementById('editVoiceText');
+        editVoiceText.classList.remove('listening');
+        editVoiceText.textContent = 'Press side button to add steps';
+        return;
+    }
+
+    if (voiceMode === 'search') {
+        renderSearchResults();
+        return;
+    }
 
     const voiceStatus = document.getElementById('voiceStatus');
     const voiceText = document.getElementById('voiceText');
@@ -263,36 +827,36 @@ function stopVoiceInput() {
 
 function simulateVoiceInput() {
     // For browser testing
-    const mockResponse = {
+    const mockResponse = [{
         task: 'Implement user authentication',
         project: 'WebApp',
         organization: 'TechCorp',
-        dueDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0]
-    };
+        dueDate: toDateKey(new Date(Date.now() + 7 * DAY_MS)),
+        priority: 'P1',
+        tags: ['feature']
+    }];
     
     processVoiceResponse(mockResponse);
 }
 
-function processVoiceResponse(data) {
-    isListening = false;
+function processVoiceResponse(items, unreadable = 0) {
+    endListening();
     
     const voiceStatus = document.getElementById('voiceStatus');
     const voiceText = document.getElementById('voiceText');
     
     voiceStatus.classList.remove('listening');
-    voiceText.textContent = 'Task captured!';
     
-    // Update draft
-    if (data.task) currentTaskDraft.task = data.task;
-    if (data.project) currentTaskDraft.project = data.project;
-    if (data.organization) currentTaskDraft.organization = data.organization;
-    if (data.dueDate) currentTaskDraft.dueDate = data.dueDate;
-    
-    updateTaskPreview();
+    // Each utterance adds to the list, so a batch can be dictated in parts
+    items.forEach(data => {
+        const draft = createTaskDraft();
+        applyTaskDraft(draft, data);
+        taskDrafts.push(draft);
+    });
+    renderDrafts();
     
-    // Enable confirm button if task is present
-    const confirmBtn = document.getElementById('confirmTaskBtn');
-    confirmBtn.disabled = !currentTaskDraft.task;
+    const captured = items.length === 1 ? 'Task captured!' : `${items.length} tasks captured!`;
+    voiceText.textContent = unreadable ? `${captured} ${unreadable} couldn't be read` : captured;
     
     // Reset voice status after delay
     setTimeout(() => {
@@ -300,160 +864,2943 @@ function processVoiceResponse(data) {
     }, 2000);
 }
 
-// ===========================================
-// Message Handler
-// ===========================================
+function applyTaskDraft(draft, data) {
+    // Fields that didn't come through leave what the draft already has
+    if (data.task) draft.task = data.task;
+    if (data.project) draft.project = data.project;
+    if (data.organization) draft.organization = data.organization;
+    inferOrganization(draft);
+    // Never trust the LLM's date as-is; the description can still hold one it missed
+    const due = resolveDue({ dueDate: data.dueDate, dueTime: data.dueTime, dueText: data.dueText, text: data.task });
+    if (due.dueDate) {
+        draft.dueDate = due.dueDate;
+        draft.dueTime = due.dueTime;
+    }
+    if (normalizePriority(data.priority)) draft.priority = normalizePriority(data.priority);
+    if (normalizeRepeatRule(data.repeat)) draft.repeat = normalizeRepeatRule(data.repeat);
+    if (Array.isArray(data.tags)) draft.tags = normalizeTags(data.tags);
+    if (Array.isArray(data.subtasks)) {
+        draft.subtasks = data.subtasks.filter(text => typeof text === 'string' && text.trim());
+    }
+}
 
-window.onPluginMessage = function(data) {
-    console.log('Received message:', data);
+function processSubtaskVoiceResponse(data) {
+    // Ignore late responses once the edit view has been left
+    if (!isListening || voiceMode !== 'subtasks') return;
     
-    if (isListening) {
-        let parsedData = null;
-        
-        // Try to parse from data.data or data.message
-        if (data.data) {
-            try {
-                parsedData = typeof data.data === 'string' ? JSON.parse(data.data) : data.data;
-            } catch (e) {
-                console.log('Could not parse data.data as JSON');
-            }
-        }
-        
-        if (!parsedData && data.message) {
-            try {
-                parsedData = JSON.parse(data.message);
-            } catch (e) {
-                console.log('Could not parse data.message as JSON');
-            }
-        }
-        
-        if (parsedData && parsedData.task) {
-            processVoiceResponse(parsedData);
-        }
-    }
-};
+    endListening();
+    
+    const editVoiceText = document.getElementById('editVoiceText');
+    editVoiceText.classList.remove('listening');
+    
+    const steps = data.subtasks.filter(text => typeof text === 'string' && text.trim());
+    steps.forEach(text => editingSubtasks.push(createSubtask(text)));
+    renderSubtasks();
+    
+    editVoiceText.textContent = steps.length
+        ? `Added ${steps.length} step${steps.length === 1 ? '' : 's'}`
+        : 'No steps heard';
+    
+    setTimeout(() => {
+        editVoiceText.textContent = 'Press side button to add steps';
+    }, 2000);
+}
 
 // ===========================================
-// Task Management
+// Voice Commands
 // ===========================================
 
-function resetTaskDraft() {
-    currentTaskDraft = {
-        task: '',
-        project: '',
-        organization: '',
-        dueDate: ''
-    };
-    
-    const voiceText = document.getElementById('voiceText');
-    voiceText.textContent = 'Press side button to speak';
+function startCommandVoiceInput() {
+    isListening = true;
+    voiceMode = 'command';
+    armVoiceTimeout();
     
-    const voiceStatus = document.getElementById('voiceStatus');
-    voiceStatus.classList.remove('listening');
+    showCommandPanel('Listening... Say a command');
     
-    const confirmBtn = document.getElementById('confirmTaskBtn');
-    confirmBtn.disabled = true;
-}
+    if (typeof PluginMessageHandler !== 'undefined') {
+        const prompt = `The user will give a voice command for their software development to-do list.
 
-function updateTaskPreview() {
-    document.getElementById('previewTask').textContent = currentTaskDraft.task || '—';
-    document.getElementById('previewProject').textContent = currentTaskDraft.project || '—';
-    document.getElementById('previewOrg').textContent = currentTaskDraft.organization || '—';
-    document.getElementById('previewDue').textContent = currentTaskDraft.dueDate ? formatDate(currentTaskDraft.dueDate) : '—';
+Work out the intent:
+- add: create a new task
+- complete: mark an existing task as done ("mark the auth task done")
+- reschedule: change an existing task's due date ("move the API refactor to Friday")
+- delete: remove an existing task ("delete the lint task")
+- query: ask what is due ("what's due today", "anything overdue?")
+- stats: ask how they are doing overall ("show my stats", "how productive was I this week?")
+
+Fields:
+- intent: One of add, complete, reschedule, delete, query, stats
+- task: For add, the new task description; otherwise the words the user used to refer to the existing task
+- project, organization, priority (P0-P3), tags, subtasks: Only for add, if mentioned
+- dueDate: For add or reschedule, the date in YYYY-MM-DD format (interpret relative dates)
+- dueTime: For add or reschedule, the time of day in 24-hour HH:MM format if one is mentioned
+- dueText: The user's exact words for that date and time (e.g. "next Friday at 3pm"), or empty
+- range: For query, one of today, tomorrow, overdue, week
+
+Current date: ${toDateKey(new Date())} (${WEEKDAY_NAMES[new Date().getDay()]})
+
+Respond ONLY with valid JSON in this exact format:
+{"intent":"complete","task":"words used","project":"","organization":"","priority":"","tags":[],"subtasks":[],"dueDate":"YYYY-MM-DD or empty","dueTime":"","dueText":"","range":""}
+
+Now listen for the user's command.`;
+
+        PluginMessageHandler.postMessage(JSON.stringify({
+            message: prompt,
+            useLLM: true,
+            wantsR1Response: false
+        }));
+    } else {
+        // Browser fallback - simulate voice input
+        setTimeout(() => {
+            processCommandResponse({ intent: 'query', range: 'today' });
+        }, 2000);
+    }
 }
 
-function confirmTask() {
-    if (!currentTaskDraft.task) return;
+function processCommandResponse(data) {
+    if (!isListening || voiceMode !== 'command') return;
     
-    // Add to projects/orgs lists if new
-    if (currentTaskDraft.project && !projects.includes(currentTaskDraft.project)) {
-        projects.push(currentTaskDraft.project);
-    }
+    endListening();
     
-    if (currentTaskDraft.organization && !organizations.includes(currentTaskDraft.organization)) {
-        organizations.push(currentTaskDraft.organization);
+    if (data.intent === 'add') {
+        hideCommandPanel();
+        showAddView();
+        processVoiceResponse([data]);
+        return;
     }
     
-    // Create task
-    const newTask = {
-        id: Date.now(),
-        task: currentTaskDraft.task,
-        project: currentTaskDraft.project,
-        organization: currentTaskDraft.organization,
-        dueDate: currentTaskDraft.dueDate,
-        completed: false,
-        createdAt: new Date().toISOString()
-    };
+    if (data.intent === 'query') {
+        answerDueQuery(QUERY_RANGES.includes(data.range) ? data.range : 'today');
+        return;
+    }
     
-    tasks.push(newTask);
+    if (data.intent === 'stats') {
+        hideCommandPanel();
+        showStatsView();
+        return;
+    }
     
-    // Save and return to main view
-    saveData();
-    renderTasks();
-    showView('mainView');
-}
-
-function saveEdit() {
-    if (!editingTaskId) return;
+    // Completing or moving a finished task makes no sense, deleting one does
+    const pool = data.intent === 'delete' ? tasks : tasks.filter(task => !task.completed);
+    const matches = rankMatches(data.task, pool, task => `${task.task} ${task.project} ${task.organization}`);
+    
+    if (matches.length === 0) {
+        showCommandPanel(`No task matches "${data.task || ''}"`);
+        hideCommandPanelLater();
+        return;
+    }
+    
+    const due = resolveDue({ dueDate: data.dueDate, dueTime: data.dueTime, dueText: data.dueText });
+    if (data.intent === 'reschedule' && !due.dueDate) {
+        showCommandPanel('No new date heard');
+        hideCommandPanelLater();
+        return;
+    }
+    
+    pendingCommand = {
+        intent: data.intent,
+        ...due,
+        candidates: matches.slice(0, 4).map(match => match.item)
+    };
+    
+    // A clear winner runs straight away, anything close asks first
+    const isAmbiguous = matches.length > 1 && matches[0].score - matches[1].score < 0.15;
+    if (isAmbiguous) {
+        commandOptionIndex = 0;
+        showCommandPanel(`Which task to ${describeIntent(data.intent)}?`, pendingCommand.candidates);
+    } else if (data.intent === 'delete') {
+        // A misheard name shouldn't cost a task, so deleting always asks
+        pendingCommand.candidates = [matches[0].item];
+        commandOptionIndex = 0;
+        showCommandPanel('Delete this task?', pendingCommand.candidates);
+    } else {
+        resolvePendingCommand(matches[0].item.id);
+    }
+}
+
+function resolvePendingCommand(taskId) {
+    const command = pendingCommand;
+    const task = tasks.find(t => t.id === taskId);
+    pendingCommand = null;
+    hideCommandPanel();
+    
+    if (!command || !task) return;
+    
+    const label = `${describeIntent(command.intent)} "${truncate(task.task)}"`;
+    recordHistory(label);
+    
+    if (command.intent === 'complete') {
+        markTaskCompleted(task);
+    } else if (command.intent === 'reschedule') {
+        task.dueDate = command.dueDate;
+        task.dueTime = command.dueTime;
+        touchTask(task);
+    } else if (command.intent === 'delete') {
+        tasks = tasks.filter(t => t.id !== task.id);
+        forgetDependency(task.id);
+    }
+    
+    saveData();
+    renderTasks();
+    showToast(`${label.charAt(0).toUpperCase()}${label.slice(1)}`, 'Undo', undo);
+}
+
+function cancelCommand() {
+    if (isListening && voiceMode === 'command') {
+        endListening();
+    }
+    pendingCommand = null;
+    hideCommandPanel();
+}
+
+function moveCommandOption(step) {
+    const count = pendingCommand.candidates.length;
+    commandOptionIndex = Math.min(Math.max(commandOptionIndex + step, 0), count - 1);
+    
+    document.querySelectorAll('#commandOptions .command-option').forEach((option, index) => {
+        option.classList.toggle('highlighted', index === commandOptionIndex);
+    });
+}
+
+function answerDueQuery(range) {
+    const labels = { today: 'today', tomorrow: 'tomorrow', overdue: 'overdue', week: 'this week' };
+    
+    const due = tasks
+        .filter(task => !task.completed && matchesDueRange(task, range))
+        .sort(compareByDueDate);
+    
+    let answer;
+    if (due.length === 0) {
+        answer = range === 'overdue' ? 'Nothing is overdue.' : `Nothing is due ${labels[range]}.`;
+    } else {
+        const verb = range === 'overdue' ? 'overdue' : `due ${labels[range]}`;
+        answer = `${due.length} ${due.length === 1 ? 'task' : 'tasks'} ${verb}: ${due.map(task => task.task).join(', ')}.`;
+    }
+    
+    showCommandPanel(answer);
+    hideCommandPanelLater(6000);
+    speak(answer);
+}
+
+function describeIntent(intent) {
+    const verbs = { complete: 'complete', reschedule: 'move', delete: 'delete' };
+    return verbs[intent] || intent;
+}
+
+function showCommandPanel(text, candidates = []) {
+    clearTimeout(commandPanelTimer);
+    
+    document.getElementById('commandText').textContent = text;
+    document.getElementById('commandOptions').innerHTML = candidates.map((task, index) => `
+        <button class="command-option ${index === commandOptionIndex ? 'highlighted' : ''}" data-task-id="${task.id}">
+            ${escapeHtml(task.task)}
+            ${task.dueDate ? `<span class="command-option-meta">${formatDue(task)}</span>` : ''}
+        </button>
+    `).join('');
+    
+    const panel = document.getElementById('commandPanel');
+    panel.classList.add('visible');
+    panel.classList.toggle('listening', isListening);
+}
+
+function hideCommandPanel() {
+    clearTimeout(commandPanelTimer);
+    document.getElementById('commandPanel').classList.remove('visible', 'listening');
+}
+
+function hideCommandPanelLater(delay = 2500) {
+    clearTimeout(commandPanelTimer);
+    commandPanelTimer = setTimeout(hideCommandPanel, delay);
+}
+
+function speak(text) {
+    // Have the R1 read a message aloud
+    if (typeof PluginMessageHandler === 'undefined') return;
+    
+    // The R1 answers this too, and that answer would be taken for the voice reply
+    if (isListening) {
+        pendingSpeech.push(text);
+        return;
+    }
+    
+    PluginMessageHandler.postMessage(JSON.stringify({
+        message: `Read this to the user exactly as written: ${text}`,
+        useLLM: true,
+        wantsR1Response: true
+    }));
+}
+
+function flushSpeech() {
+    pendingSpeech.splice(0).forEach(speak);
+}
+
+// ===========================================
+// Message Handler
+// ===========================================
+
+window.onPluginMessage = function(data) {
+    console.log('Received message:', data);
+    
+    if (!isListening) return;
+    
+    // Task replies are a list, one entry per task heard
+    const parsed = extractJson(data);
+    const result = voiceMode === 'task'
+        ? validateResponseList(parsed, RESPONSE_SCHEMAS.task, 'tasks')
+        : validateResponse(parsed, RESPONSE_SCHEMAS[voiceMode]);
+    if (result.errors.length > 0) {
+        console.log('Response problems:', result.errors);
+    }
+    
+    if (!result.ok) {
+        const reason = result.errors.includes('response')
+            ? "Couldn't read the reply."
+            : MISSING_RESPONSE_MESSAGES[voiceMode];
+        failVoiceInput(reason, voiceMode === 'task' ? result.rejected[0] : result.data);
+        return;
+    }
+    
+    if (voiceMode === 'command') {
+        processCommandResponse(result.data);
+    } else if (voiceMode === 'subtasks') {
+        processSubtaskVoiceResponse(result.data);
+    } else if (voiceMode === 'search') {
+        processSearchVoiceResponse(result.data);
+    } else {
+        processVoiceResponse(result.items, result.rejected.length);
+    }
+};
+
+function armVoiceTimeout() {
+    clearTimeout(voiceTimeout);
+    voiceTimeout = setTimeout(() => {
+        if (isListening) {
+            failVoiceInput('No reply came back.');
+        }
+    }, LLM_TIMEOUT_MS);
+}
+
+function endListening() {
+    isListening = false;
+    clearTimeout(voiceTimeout);
+    voiceTimeout = null;
+    flushSpeech();
+}
+
+function failVoiceInput(reason, partial = {}) {
+    endListening();
+    
+    if (voiceMode === 'command') {
+        showCommandPanel(`${reason} Press the side button to try again`);
+        hideCommandPanelLater(6000);
+        return;
+    }
+    
+    if (voiceMode === 'subtasks') {
+        const editVoiceText = document.getElementById('editVoiceText');
+        editVoiceText.classList.remove('listening');
+        editVoiceText.classList.add('error');
+        editVoiceText.textContent = `${reason} Press side button to try again`;
+        return;
+    }
+    
+    if (voiceMode === 'search') {
+        const status = document.getElementById('searchStatus');
+        status.classList.remove('listening');
+        status.classList.add('error');
+        status.textContent = `${reason} Press side button to try again`;
+        return;
+    }
+    
+    // Whatever did come through is still worth keeping, on the draft being worked on
+    // or else one that still needs a description
+    const kept = !!partial && Object.keys(partial).length > 0;
+    if (kept) {
+        let draft = taskDrafts[editingDraftIndex] || taskDrafts.find(item => !item.task);
+        if (!draft) {
+            draft = createTaskDraft();
+            taskDrafts.push(draft);
+        }
+        applyTaskDraft(draft, partial);
+        renderDrafts();
+    }
+    
+    const voiceStatus = document.getElementById('voiceStatus');
+    voiceStatus.classList.remove('listening');
+    voiceStatus.classList.add('error');
+    document.getElementById('voiceText').textContent = kept
+        ? `${reason} Kept the rest. Press side button to try again`
+        : `${reason} Press side button to try again`;
+    document.getElementById('retryVoiceBtn').classList.add('visible');
+}
+
+// ===========================================
+// Task Management
+// ===========================================
+
+function createTaskDraft() {
+    return {
+        task: '',
+        project: '',
+        organization: '',
+        dueDate: '',
+        dueTime: '',
+        priority: '',
+        repeat: null,
+        subtasks: [],
+        tags: []
+    };
+}
+
+function resetTaskDrafts() {
+    taskDrafts = [];
+    closeDraftEditor();
+    
+    const voiceText = document.getElementById('voiceText');
+    voiceText.textContent = 'Press side button to speak';
+    
+    const voiceStatus = document.getElementById('voiceStatus');
+    voiceStatus.classList.remove('listening', 'error');
+    document.getElementById('retryVoiceBtn').classList.remove('visible');
+    
+    const confirmBtn = document.getElementById('confirmTaskBtn');
+    confirmBtn.disabled = true;
+}
+
+function renderDrafts() {
+    const draftList = document.getElementById('draftList');
+    
+    if (taskDrafts.length === 0) {
+        draftList.innerHTML = '<p class="archive-empty">Describe one or more tasks</p>';
+    } else {
+        draftList.innerHTML = taskDrafts.map((draft, index) => `
+            <div class="archive-item draft-item ${draft.task ? '' : 'incomplete'} ${index === editingDraftIndex ? 'editing' : ''}" data-draft-index="${index}">
+                <div class="archive-title">${draft.task ? escapeHtml(draft.task) : 'Missing description'}</div>
+                <div class="task-meta">
+                    ${draft.priority ? `<span class="task-tag priority ${draft.priority.toLowerCase()}">${draft.priority}</span>` : ''}
+                    ${draft.project ? `<span class="task-tag project">📁 ${escapeHtml(draft.project)}</span>` : ''}
+                    ${draft.organization ? `<span class="task-tag org">🏢 ${escapeHtml(draft.organization)}</span>` : ''}
+                    ${draft.dueDate ? `<span class="task-tag due">📅 ${formatDue(draft)}</span>` : ''}
+                    ${draft.repeat ? `<span class="task-tag repeat">🔁 ${describeRepeatRule(draft.repeat)}</span>` : ''}
+                    ${draft.tags.map(tag => `<span class="task-tag label">#${escapeHtml(tag)}</span>`).join('')}
+                    ${draft.subtasks.length ? `<span class="task-tag">☑ ${pluralize(draft.subtasks.length, 'step')}</span>` : ''}
+                </div>
+                <div class="archive-actions">
+                    <button class="draft-edit">Edit</button>
+                    <button class="archive-delete draft-remove">Remove</button>
+                </div>
+            </div>
+        `).join('');
+    }
+    
+    // Confirm only once every draft has something to add
+    const confirmBtn = document.getElementById('confirmTaskBtn');
+    confirmBtn.disabled = taskDrafts.length === 0 || taskDrafts.some(draft => !draft.task);
+    confirmBtn.textContent = taskDrafts.length > 1 ? `Add ${taskDrafts.length} Tasks` : 'Confirm Task';
+    
+    if (focusedFieldIndex !== -1) {
+        updateFieldFocus();
+    }
+}
+
+function handleDraftListClick(e) {
+    const item = e.target.closest('.draft-item');
+    if (!item) return;
+    
+    const index = Number(item.dataset.draftIndex);
+    if (e.target.closest('.draft-remove')) {
+        taskDrafts.splice(index, 1);
+        if (editingDraftIndex === index) {
+            closeDraftEditor();
+        } else if (editingDraftIndex > index) {
+            editingDraftIndex--;
+        }
+        renderDrafts();
+    } else if (e.target.closest('.draft-edit')) {
+        openDraftEditor(index);
+    }
+}
+
+function openDraftEditor(index) {
+    const draft = taskDrafts[index];
+    if (!draft) return;
+    
+    editingDraftIndex = index;
+    // Free text with suggestions, since a draft can name a project that doesn't exist yet
+    document.getElementById('draftOrgOptions').innerHTML =
+        organizations.map(org => `<option value="${escapeAttribute(org)}"></option>`).join('');
+    document.getElementById('draftTaskInput').value = draft.task;
+    document.getElementById('draftProjectInput').value = draft.project;
+    document.getElementById('draftOrgInput').value = draft.organization;
+    renderDraftProjectOptions();
+    document.getElementById('draftDueInput').value = formatDueInput(draft);
+    document.getElementById('draftPrioritySelect').value = draft.priority;
+    document.getElementById('draftEditor').classList.add('visible');
+    renderDrafts();
+}
+
+function renderDraftProjectOptions() {
+    const organization = findName('organization', document.getElementById('draftOrgInput').value) || '';
+    document.getElementById('draftProjectOptions').innerHTML = getProjectsForOrg(organization)
+        .map(project => `<option value="${escapeAttribute(project)}"></option>`).join('');
+}
+
+function closeDraftEditor() {
+    editingDraftIndex = -1;
+    document.getElementById('draftEditor').classList.remove('visible');
+}
+
+function saveDraftEdit() {
+    const draft = taskDrafts[editingDraftIndex];
+    if (!draft) {
+        closeDraftEditor();
+        return true;
+    }
+    
+    const dueText = document.getElementById('draftDueInput').value.trim();
+    const due = parseDue(dueText);
+    if (dueText && !due) {
+        alert(`Can't read "${dueText}" as a date`);
+        return false;
+    }
+    
+    draft.task = document.getElementById('draftTaskInput').value.trim();
+    draft.project = document.getElementById('draftProjectInput').value.trim();
+    draft.organization = document.getElementById('draftOrgInput').value.trim();
+    inferOrganization(draft);
+    draft.dueDate = due ? due.dueDate : '';
+    draft.dueTime = due ? due.dueTime : '';
+    draft.priority = document.getElementById('draftPrioritySelect').value;
+    
+    closeDraftEditor();
+    renderDrafts();
+    return true;
+}
+
+function confirmTasks() {
+    // An open editor counts as part of what's being confirmed
+    if (editingDraftIndex !== -1 && !saveDraftEdit()) return;
+    if (taskDrafts.length === 0 || taskDrafts.some(draft => !draft.task)) return;
+    
+    recordHistory(taskDrafts.length === 1 ? `Add "${truncate(taskDrafts[0].task)}"` : `Add ${taskDrafts.length} tasks`);
+    
+    const createdAt = new Date().toISOString();
+    taskDrafts.forEach(draft => {
+        registerProject(draft.project, draft.organization);
+        registerTags(draft.tags);
+        
+        tasks.push({
+            id: generateId(),
+            task: draft.task,
+            project: draft.project,
+            organization: draft.organization,
+            dueDate: draft.dueDate,
+            dueTime: draft.dueTime,
+            priority: draft.priority,
+            repeat: draft.repeat,
+            subtasks: draft.subtasks.map(createSubtask),
+            sessions: [],
+            pomodoros: [],
+            blockedBy: [],
+            tags: [...draft.tags],
+            autoComplete: true,
+            completed: false,
+            createdAt,
+            updatedAt: createdAt
+        });
+    });
+    
+    resetTaskDrafts();
+    
+    // Save and return to main view
+    saveData();
+    renderTasks();
+    showView('mainView');
+}
+
+function saveEdit() {
+    if (!editingTaskId) return;
     
     const task = tasks.find(t => t.id === editingTaskId);
     if (!task) return;
     
-    const newTask = document.getElementById('editTaskInput').value.trim();
-    let newProject = document.getElementById('editProjectSelect').value;
-    let newOrg = document.getElementById('editOrgSelect').value;
-    const newDue = document.getElementById('editDueInput').value;
+    const newTask = document.getElementById('editTaskInput').value.trim();
+    let newProject = document.getElementById('editProjectSelect').value;
+    let newOrg = document.getElementById('editOrgSelect').value;
+    const dueText = document.getElementById('editDueInput').value.trim();
+    const newDue = parseDue(dueText);
+    const newPriority = document.getElementById('editPrioritySelect').value;
+    const newRepeat = readRepeatFields();
+    
+    if (!newTask) {
+        alert('Task description is required');
+        return;
+    }
+    
+    if (dueText && !newDue) {
+        alert(`Can't read "${dueText}" as a date`);
+        return;
+    }
+    
+    recordHistory(`Edit "${truncate(task.task)}"`);
+    
+    // Handle "New..." selections
+    if (newProject === '__new__') {
+        newProject = prompt('Enter new project name:');
+    }
+    
+    if (newOrg === '__new__') {
+        newOrg = prompt('Enter new organization name:');
+    }
+    
+    registerProject(newProject, newOrg);
+    
+    // Picking another organization moves the project over, not just this task
+    if (newProject && newOrg && newOrg !== task.organization) {
+        projectOrgs[newProject] = newOrg;
+    }
+    
+    // Update task
+    task.task = newTask;
+    task.project = newProject || '';
+    task.organization = newOrg || '';
+    task.dueDate = newDue ? newDue.dueDate : '';
+    task.dueTime = newDue ? newDue.dueTime : '';
+    task.priority = newPriority;
+    task.repeat = newRepeat;
+    task.subtasks = editingSubtasks;
+    task.autoComplete = document.getElementById('editAutoComplete').checked;
+    task.tags = editingTags;
+    registerTags(editingTags);
+    task.blockedBy = editingBlockedBy.filter(id => tasks.some(t => t.id === id));
+    touchTask(task);
+    syncParentCompletion(task);
+    editingSubtasks = [];
+    editingTags = [];
+    editingBlockedBy = [];
+    
+    // Save and return
+    saveData();
+    renderTasks();
+    showView('mainView');
+    return true;
+}
+
+function deleteTask() {
+    if (!editingTaskId) return;
+    
+    if (confirm('Delete this task?')) {
+        const task = tasks.find(t => t.id === editingTaskId);
+        if (task) {
+            recordHistory(`Delete "${truncate(task.task)}"`);
+        }
+        tasks = tasks.filter(t => t.id !== editingTaskId);
+        forgetDependency(editingTaskId);
+        saveData();
+        renderTasks();
+        showView('mainView');
+    }
+}
+
+function completeEditingTask() {
+    // Touch screens have no double click, so the edit view is where tasks get done
+    const taskId = editingTaskId;
+    if (!taskId) return;
+    
+    // Changes made before pressing it are kept, unless they don't save
+    if (!saveEdit()) return;
+    toggleTaskComplete(taskId);
+}
+
+function toggleTaskComplete(taskId) {
+    const task = tasks.find(t => t.id === taskId);
+    if (task) {
+        if (!task.completed && isBlocked(task, tasks)) {
+            const blockers = getOpenBlockers(task, tasks).map(t => `"${truncate(t.task)}"`).join(', ');
+            if (!confirm(`Still waiting on ${blockers}. Complete anyway?`)) return;
+        }
+        
+        recordHistory(`${task.completed ? 'Reopen' : 'Complete'} "${truncate(task.task)}"`);
+        if (task.completed) {
+            reopenTask(task);
+        } else {
+            markTaskCompleted(task);
+            
+            const unblocked = getUnblocked(task, tasks);
+            if (unblocked.length > 0) {
+                showToast(`Unblocked: ${unblocked.map(t => truncate(t.task, 16)).join(', ')}`);
+            }
+        }
+        saveData();
+        renderTasks();
+    }
+}
+
+function markTaskCompleted(task) {
+    task.completed = true;
+    task.completedAt = new Date().toISOString();
+    touchTask(task);
+    
+    if (closeSession(task)) {
+        renderTimer();
+    }
+    
+    // Recurring tasks hand their rule on to the next occurrence
+    if (task.repeat) {
+        tasks.push(createNextOccurrence(task));
+        task.repeat = null;
+    }
+    
+    if (task.issue) {
+        queueSync();
+    }
+}
+
+function reopenTask(task) {
+    task.completed = false;
+    task.completedAt = null;
+    touchTask(task);
+    
+    if (task.issue) {
+        queueSync();
+    }
+}
+
+function touchTask(task) {
+    task.updatedAt = new Date().toISOString();
+}
+
+// ===========================================
+// Subtasks
+// ===========================================
+
+function createSubtask(text) {
+    return {
+        id: generateId(),
+        text: text.trim(),
+        completed: false
+    };
+}
+
+function getSubtaskProgress(subtasks) {
+    const list = subtasks || [];
+    return {
+        done: list.filter(subtask => subtask.completed).length,
+        total: list.length
+    };
+}
+
+function syncParentCompletion(task) {
+    // Parent follows its subtasks only when auto-complete is on
+    if (task.autoComplete === false || !task.subtasks || task.subtasks.length === 0) return;
+    
+    const { done, total } = getSubtaskProgress(task.subtasks);
+    if (done === total) {
+        if (!task.completed) {
+            markTaskCompleted(task);
+        }
+    } else if (task.completed) {
+        reopenTask(task);
+    }
+}
+
+function addSubtaskFromInput() {
+    const input = document.getElementById('newSubtaskInput');
+    const text = input.value.trim();
+    if (!text) return;
+    
+    editingSubtasks.push(createSubtask(text));
+    input.value = '';
+    renderSubtasks();
+}
+
+function handleSubtaskListClick(event) {
+    const item = event.target.closest('.subtask-item');
+    if (!item) return;
+    
+    const subtaskId = Number(item.dataset.subtaskId);
+    
+    if (event.target.closest('.subtask-remove')) {
+        editingSubtasks = editingSubtasks.filter(subtask => subtask.id !== subtaskId);
+    } else {
+        const subtask = editingSubtasks.find(s => s.id === subtaskId);
+        if (subtask) {
+            subtask.completed = !subtask.completed;
+        }
+    }
+    
+    renderSubtasks();
+}
+
+// ===========================================
+// Tags
+// ===========================================
+
+function registerTags(taskTags = []) {
+    taskTags.forEach(tag => {
+        if (tag && !tags.includes(tag)) tags.push(tag);
+    });
+}
+
+function addEditingTag(value) {
+    const tag = normalizeTag(value);
+    if (tag && !editingTags.includes(tag)) {
+        editingTags.push(tag);
+    }
+    renderEditTags();
+}
+
+function addTagFromInput() {
+    const input = document.getElementById('newTagInput');
+    addEditingTag(input.value);
+    input.value = '';
+}
+
+function addTagFromSelect(event) {
+    if (!event.target.value) return;
+    addEditingTag(event.target.value);
+}
+
+function handleEditTagListClick(event) {
+    const chip = event.target.closest('.tag-chip');
+    if (!chip) return;
+    
+    editingTags = editingTags.filter(tag => tag !== chip.dataset.tag);
+    renderEditTags();
+}
+
+function renderEditTags() {
+    document.getElementById('editTagList').innerHTML = editingTags.map(tag => `
+        <button class="tag-chip" data-tag="${escapeAttribute(tag)}" aria-label="Remove tag">#${escapeHtml(tag)} ✕</button>
+    `).join('');
+    
+    const unused = tags.filter(tag => !editingTags.includes(tag));
+    const select = document.getElementById('addTagSelect');
+    select.innerHTML = `<option value="">${unused.length ? 'Add a tag...' : 'No other tags'}</option>` +
+        unused.map(tag => `<option value="${escapeAttribute(tag)}">#${escapeHtml(tag)}</option>`).join('');
+    select.disabled = unused.length === 0;
+    
+    if (focusedFieldIndex !== -1) {
+        updateFieldFocus();
+    }
+}
+
+function showTagsView() {
+    renderTagList();
+    showView('tagsView');
+}
+
+function closeTagsView() {
+    renderFilterOptions();
+    showView('filterView');
+}
+
+function handleTagListClick(event) {
+    const item = event.target.closest('.archive-item');
+    if (!item) return;
+    
+    const tag = item.dataset.tag;
+    
+    if (event.target.closest('.tag-rename')) {
+        const name = prompt(`Rename #${tag} to:`, tag);
+        if (name !== null) renameTag(tag, name);
+    } else if (event.target.closest('.tag-merge')) {
+        const others = tags.filter(other => other !== tag);
+        const name = prompt(`Merge #${tag} into (${others.map(other => `#${other}`).join(', ')}):`);
+        if (name === null) return;
+        
+        // Merging only ever folds into a tag that already exists
+        if (tags.includes(normalizeTag(name))) {
+            renameTag(tag, name);
+        } else {
+            showToast(`No tag #${normalizeTag(name)}`);
+        }
+    }
+}
+
+function renameTag(from, value) {
+    const to = normalizeTag(value);
+    if (!to || to === from) return;
+    
+    const isMerge = tags.includes(to);
+    recordHistory(isMerge ? `Merge #${from} into #${to}` : `Rename #${from}`);
+    
+    // Archived tasks follow too, or restoring one would bring the old tag back
+    const inArchive = archivedTasks.some(task => (task.tags || []).includes(from));
+    [...tasks, ...archivedTasks].forEach(task => {
+        if (!(task.tags || []).includes(from)) return;
+        task.tags = [...new Set(task.tags.map(tag => (tag === from ? to : tag)))];
+        touchTask(task);
+    });
+    
+    // A rename keeps the tag's place in the list, a merge folds it into the other one
+    tags = isMerge
+        ? tags.filter(tag => tag !== from)
+        : tags.map(tag => (tag === from ? to : tag));
+    if (currentFilter.tag === from) currentFilter.tag = to;
+    
+    saveData();
+    if (inArchive) {
+        saveArchive();
+    }
+    renderTagList();
+    showToast(isMerge ? `Merged #${from} into #${to}` : `Renamed #${from} to #${to}`);
+}
+
+function renderTagList() {
+    const tagList = document.getElementById('tagList');
+    
+    if (tags.length === 0) {
+        tagList.innerHTML = '<p class="archive-empty">No tags yet</p>';
+        return;
+    }
+    
+    tagList.innerHTML = tags.map(tag => {
+        const count = tasks.filter(task => (task.tags || []).includes(tag)).length;
+        return `
+            <div class="archive-item" data-tag="${escapeAttribute(tag)}">
+                <div class="archive-title">#${escapeHtml(tag)} <span class="filter-count">${pluralize(count, 'task')}</span></div>
+                <div class="archive-actions">
+                    <button class="tag-rename">Rename</button>
+                    <button class="tag-merge" ${tags.length > 1 ? '' : 'disabled'}>Merge</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+    
+    if (focusedFieldIndex !== -1) {
+        updateFieldFocus();
+    }
+}
+
+// ===========================================
+// Projects & Organizations
+// ===========================================
+
+function showNamesView() {
+    renderNameLists();
+    showView('namesView');
+}
+
+function closeNamesView() {
+    renderFilterOptions();
+    showView('filterView');
+}
+
+function getNames(kind) {
+    return kind === 'project' ? projects : organizations;
+}
+
+function setNames(kind, names) {
+    if (kind === 'project') {
+        projects = names;
+    } else {
+        organizations = names;
+    }
+}
+
+function registerProject(project, organization) {
+    // New names join the lists; a project belongs to the first organization it's used with
+    if (project && !projects.includes(project)) projects.push(project);
+    if (organization && !organizations.includes(organization)) organizations.push(organization);
+    if (project && organization && !projectOrgs[project]) projectOrgs[project] = organization;
+}
+
+function getProjectsForOrg(organization, keep = '') {
+    // Projects without an organization fit under any of them
+    return projects.filter(project =>
+        project === keep || !organization || !projectOrgs[project] || projectOrgs[project] === organization);
+}
+
+function getTaskOrganization(task) {
+    return task.organization || projectOrgs[task.project] || '';
+}
+
+function describeProject(project) {
+    return projectOrgs[project] ? `${project} (${projectOrgs[project]})` : project;
+}
+
+function inferOrganization(draft) {
+    // Known names keep their spelling, and a known project brings its organization along
+    const project = findName('project', draft.project);
+    const organization = findName('organization', draft.organization);
+    if (project) draft.project = project;
+    if (organization) draft.organization = organization;
+    if (project && !draft.organization && projectOrgs[project]) {
+        draft.organization = projectOrgs[project];
+    }
+}
+
+function handleEditOrgChange() {
+    const organization = document.getElementById('editOrgSelect').value;
+    if (organization === '__new__') return;
+    
+    // A project from another organization no longer fits
+    const fitting = getProjectsForOrg(organization);
+    const project = document.getElementById('editProjectSelect').value;
+    populateEditDropdown('editProjectSelect', fitting, fitting.includes(project) ? project : '');
+}
+
+function handleEditProjectChange() {
+    const organization = projectOrgs[document.getElementById('editProjectSelect').value];
+    const orgSelect = document.getElementById('editOrgSelect');
+    if (organization && !orgSelect.value) {
+        orgSelect.value = organization;
+    }
+}
+
+function setProjectOrganization(project, value) {
+    const organization = findName('organization', value) || value.trim();
+    if (organization === (projectOrgs[project] || '')) return;
+    
+    recordHistory(`Move "${project}" to ${organization || 'no organization'}`);
+    if (organization) {
+        registerProject('', organization);
+        projectOrgs[project] = organization;
+    } else {
+        delete projectOrgs[project];
+    }
+    
+    saveData();
+    renderNameLists();
+}
+
+function handleNameListClick(event) {
+    const item = event.target.closest('.archive-item');
+    if (!item) return;
+    
+    const { kind, name } = item.dataset;
+    
+    if (event.target.closest('.name-rename')) {
+        const value = prompt(`Rename ${kind} "${name}" to:`, name);
+        if (value !== null) renameName(kind, name, value);
+    } else if (event.target.closest('.name-merge')) {
+        const others = getNames(kind).filter(other => other !== name);
+        const value = prompt(`Merge "${name}" into (${others.join(', ')}):`);
+        if (value === null) return;
+        
+        // Merging only ever folds into a name that already exists
+        if (findName(kind, value, name)) {
+            renameName(kind, name, value);
+        } else {
+            showToast(`No ${kind} "${value.trim()}"`);
+        }
+    } else if (event.target.closest('.name-org')) {
+        const value = prompt(`Organization for "${name}" (${organizations.join(', ') || 'none yet'}):`, projectOrgs[name] || '');
+        if (value !== null) setProjectOrganization(name, value);
+    } else if (event.target.closest('.name-color')) {
+        cycleProjectColor(name);
+    } else if (event.target.closest('.name-delete')) {
+        deleteName(kind, name);
+    }
+}
+
+function findName(kind, value, except) {
+    // Voice transcription gets case wrong, so "webapp" finds "WebApp"
+    const wanted = value.trim().toLowerCase();
+    return getNames(kind).find(name => name !== except && name.toLowerCase() === wanted);
+}
+
+function renameName(kind, from, value) {
+    const existing = findName(kind, value, from);
+    const to = existing || value.trim();
+    if (!to || to === from) return;
+    
+    recordHistory(existing ? `Merge "${from}" into "${to}"` : `Rename ${kind} "${from}"`);
+    
+    // Archived tasks follow too, or restoring one would bring the old name back
+    const inArchive = archivedTasks.some(task => task[kind] === from);
+    [...tasks, ...archivedTasks].forEach(task => {
+        if (task[kind] !== from) return;
+        task[kind] = to;
+        touchTask(task);
+    });
+    
+    // A rename keeps the name's place in the list, a merge folds it into the other one
+    const names = getNames(kind);
+    setNames(kind, existing ? names.filter(name => name !== from) : names.map(name => (name === from ? to : name)));
+    if (currentFilter[kind] === from) currentFilter[kind] = to;
+    
+    // The merged-into project keeps its own color and organization if it has them
+    if (kind === 'project') {
+        [projectColors, projectOrgs].forEach(settingsByProject => {
+            if (!settingsByProject[from]) return;
+            if (!settingsByProject[to]) settingsByProject[to] = settingsByProject[from];
+            delete settingsByProject[from];
+        });
+    } else {
+        Object.keys(projectOrgs).forEach(project => {
+            if (projectOrgs[project] === from) projectOrgs[project] = to;
+        });
+    }
+    
+    saveData();
+    if (inArchive) {
+        saveArchive();
+    }
+    renderNameLists();
+    showToast(existing ? `Merged "${from}" into "${to}"` : `Renamed "${from}" to "${to}"`);
+}
+
+function deleteName(kind, name) {
+    // Only names no task uses can go, so nothing is left pointing at them
+    if (isNameInUse(kind, name)) return;
+    
+    recordHistory(`Delete ${kind} "${name}"`);
+    setNames(kind, getNames(kind).filter(other => other !== name));
+    if (kind === 'project') {
+        delete projectColors[name];
+        delete projectOrgs[name];
+    } else {
+        // Its projects stay, just without an organization
+        Object.keys(projectOrgs).forEach(project => {
+            if (projectOrgs[project] === name) delete projectOrgs[project];
+        });
+    }
+    
+    saveData();
+    renderNameLists();
+    showToast(`Deleted "${name}"`);
+}
+
+function isNameInUse(kind, name) {
+    return [...tasks, ...archivedTasks].some(task => task[kind] === name);
+}
+
+function cycleProjectColor(name) {
+    // No color, then each color in turn
+    const options = ['', ...PROJECT_COLORS];
+    const next = options[(options.indexOf(projectColors[name] || '') + 1) % options.length];
+    
+    recordHistory(`Color project "${name}"`);
+    if (next) {
+        projectColors[name] = next;
+    } else {
+        delete projectColors[name];
+    }
+    
+    saveData();
+    renderNameLists();
+}
+
+function getProjectColorClass(project) {
+    const color = project && projectColors[project];
+    return PROJECT_COLORS.includes(color) ? `has-color color-${color}` : '';
+}
+
+function renderNameLists() {
+    renderNameList('project', 'projectList');
+    renderNameList('organization', 'orgList');
+    
+    if (focusedFieldIndex !== -1) {
+        updateFieldFocus();
+    }
+}
+
+function renderNameList(kind, listId) {
+    const list = document.getElementById(listId);
+    const names = getNames(kind);
+    
+    if (names.length === 0) {
+        list.innerHTML = `<p class="archive-empty">No ${kind}s yet</p>`;
+        return;
+    }
+    
+    list.innerHTML = names.map(name => {
+        const count = tasks.filter(task => task[kind] === name).length;
+        return `
+            <div class="archive-item ${kind === 'project' ? getProjectColorClass(name) : ''}" data-kind="${kind}" data-name="${escapeAttribute(name)}">
+                <div class="archive-title">${escapeHtml(name)} <span class="filter-count">${pluralize(count, 'task')}</span></div>
+                ${kind === 'project' ? `
+                <div class="task-meta">
+                    <button class="task-tag org name-org">🏢 ${escapeHtml(projectOrgs[name] || 'No organization')}</button>
+                </div>` : ''}
+                <div class="archive-actions">
+                    <button class="name-rename">Rename</button>
+                    <button class="name-merge" ${names.length > 1 ? '' : 'disabled'}>Merge</button>
+                    ${kind === 'project' ? '<button class="name-color"><span class="color-swatch"></span>Color</button>' : ''}
+                    <button class="archive-delete name-delete" ${isNameInUse(kind, name) ? 'disabled' : ''}>Delete</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// ===========================================
+// Dependencies
+// ===========================================
+
+function addDependencyFromSelect(event) {
+    const blockerId = Number(event.target.value);
+    if (!blockerId) return;
+    
+    // The select only offers safe choices, but the list may have changed under it
+    const overrides = { [editingTaskId]: editingBlockedBy };
+    if (wouldCreateCycle(editingTaskId, blockerId, tasks, overrides)) {
+        showToast('That would make a dependency loop');
+    } else if (!editingBlockedBy.includes(blockerId)) {
+        editingBlockedBy.push(blockerId);
+    }
+    
+    renderDependencies();
+}
+
+function handleDependencyListClick(event) {
+    const item = event.target.closest('.dependency-item');
+    if (!item || !event.target.closest('.subtask-remove')) return;
+    
+    const blockerId = Number(item.dataset.taskId);
+    editingBlockedBy = editingBlockedBy.filter(id => id !== blockerId);
+    renderDependencies();
+}
+
+function forgetDependency(taskId) {
+    // A deleted task can't block anything
+    tasks.forEach(task => {
+        if (task.blockedBy && task.blockedBy.includes(taskId)) {
+            task.blockedBy = task.blockedBy.filter(id => id !== taskId);
+        }
+    });
+}
+
+function renderDependencies() {
+    const blockers = editingBlockedBy
+        .map(id => tasks.find(task => task.id === id))
+        .filter(Boolean);
+    
+    document.getElementById('dependencyList').innerHTML = blockers.map(task => `
+        <div class="dependency-item ${task.completed ? 'done' : ''}" data-task-id="${task.id}">
+            <span class="subtask-check">${task.completed ? '✓' : '⛔'}</span>
+            <span class="subtask-text">${escapeHtml(task.task)}</span>
+            <button class="subtask-remove" aria-label="Remove dependency">✕</button>
+        </div>
+    `).join('');
+    
+    // Offer open tasks that aren't already blockers and wouldn't close a loop
+    const overrides = { [editingTaskId]: editingBlockedBy };
+    const candidates = tasks.filter(task =>
+        !task.completed &&
+        !editingBlockedBy.includes(task.id) &&
+        !wouldCreateCycle(editingTaskId, task.id, tasks, overrides)
+    );
+    
+    const select = document.getElementById('addDependencySelect');
+    select.innerHTML = `<option value="">${candidates.length ? 'Add a blocker...' : 'No other open tasks'}</option>` +
+        candidates.map(task => `<option value="${task.id}">${escapeHtml(truncate(task.task, 32))}</option>`).join('');
+    select.disabled = candidates.length === 0;
+}
+
+// ===========================================
+// Undo / Redo
+// ===========================================
+
+function captureState() {
+    return JSON.parse(JSON.stringify({ tasks, projects, organizations, tags, projectColors, projectOrgs }));
+}
+
+function restoreState(state) {
+    // Archiving isn't undoable, so archived tasks stay archived
+    const archivedIds = new Set(archivedTasks.map(task => task.id));
+    tasks = state.tasks.filter(task => !archivedIds.has(task.id));
+    projects = state.projects;
+    organizations = state.organizations;
+    tags = state.tags;
+    projectColors = state.projectColors;
+    projectOrgs = state.projectOrgs;
+}
+
+function recordHistory(label, state = captureState()) {
+    // Call before mutating tasks, projects, organizations, tags or project settings
+    undoStack.push({ label, state });
+    if (undoStack.length > HISTORY_LIMIT) {
+        undoStack.shift();
+    }
+    redoStack = [];
+    saveHistory();
+}
+
+function undo() {
+    if (!isMainViewActive()) return;
+    
+    const entry = undoStack.pop();
+    if (!entry) {
+        showToast('Nothing to undo');
+        return;
+    }
+    
+    redoStack.push({ label: entry.label, state: captureState() });
+    restoreState(entry.state);
+    applyHistoryChange();
+    showToast(`Undone: ${entry.label}`, 'Redo', redo);
+}
+
+function redo() {
+    if (!isMainViewActive()) return;
+    
+    const entry = redoStack.pop();
+    if (!entry) {
+        showToast('Nothing to redo');
+        return;
+    }
+    
+    undoStack.push({ label: entry.label, state: captureState() });
+    restoreState(entry.state);
+    applyHistoryChange();
+    showToast(`Redone: ${entry.label}`, 'Undo', undo);
+}
+
+function applyHistoryChange() {
+    saveData();
+    saveHistory();
+    renderTasks();
+    renderTimer();
+}
+
+async function saveHistory() {
+    // Stored oldest to newest, so each snapshot can be kept as a change to the one before
+    const data = {
+        schemaVersion: SCHEMA_VERSION,
+        undoCount: undoStack.length,
+        entries: compactHistory([...undoStack, ...[...redoStack].reverse()])
+    };
+    
+    try {
+        await writeStorage(HISTORY_KEY, encodePayload(data, !!window.creationStorage));
+    } catch (e) {
+        console.error('Error saving history:', e);
+    }
+}
+
+async function loadHistory() {
+    try {
+        const stored = await readStorage(HISTORY_KEY);
+        if (!stored) return;
+        
+        const data = decodePayload(stored);
+        
+        // Snapshots from another schema version can't be restored safely
+        if (data.schemaVersion !== SCHEMA_VERSION) return;
+        
+        if (Array.isArray(data.entries)) {
+            const entries = expandHistory(data.entries);
+            undoStack = entries.slice(0, data.undoCount).slice(-HISTORY_LIMIT);
+            redoStack = entries.slice(data.undoCount).reverse().slice(-HISTORY_LIMIT);
+        } else {
+            // Saved before snapshots were compacted
+            undoStack = Array.isArray(data.undo) ? data.undo.slice(-HISTORY_LIMIT) : [];
+            redoStack = Array.isArray(data.redo) ? data.redo.slice(-HISTORY_LIMIT) : [];
+        }
+    } catch (e) {
+        console.error('Error loading history:', e);
+    }
+}
+
+function compactHistory(entries) {
+    // Past the first snapshot, only the tasks that changed since the one before are kept
+    return entries.map((entry, index) => {
+        if (index === 0) return entry;
+        
+        const previous = new Map(entries[index - 1].state.tasks.map(task => [task.id, JSON.stringify(task)]));
+        const { tasks: snapshotTasks, ...rest } = entry.state;
+        return {
+            label: entry.label,
+            state: {
+                ...rest,
+                taskIds: snapshotTasks.map(task => task.id),
+                changedTasks: snapshotTasks.filter(task => previous.get(task.id) !== JSON.stringify(task))
+            }
+        };
+    });
+}
+
+function expandHistory(entries) {
+    const expanded = [];
+    
+    entries.forEach(entry => {
+        if (Array.isArray(entry.state.tasks)) {
+            expanded.push(entry);
+            return;
+        }
+        
+        const previous = new Map(expanded[expanded.length - 1].state.tasks.map(task => [task.id, task]));
+        const changed = new Map(entry.state.changedTasks.map(task => [task.id, task]));
+        const { taskIds, changedTasks, ...rest } = entry.state;
+        expanded.push({
+            label: entry.label,
+            state: {
+                ...rest,
+                // Every snapshot gets its own copies, since restoring one makes them the live tasks
+                tasks: taskIds.map(id => changed.get(id) || JSON.parse(JSON.stringify(previous.get(id))))
+            }
+        });
+    });
+    
+    return expanded;
+}
+
+function setupShakeDetection() {
+    const accelerometer = window.creationSensors && window.creationSensors.accelerometer;
+    if (!accelerometer) return;
+    
+    // Units differ between builds, so compare against the resting magnitude
+    let baseline = null;
+    let spikes = [];
+    let cooldownUntil = 0;
+    
+    accelerometer.start(({ x, y, z }) => {
+        const magnitude = Math.sqrt(x * x + y * y + z * z);
+        if (baseline === null) {
+            baseline = magnitude;
+            return;
+        }
+        
+        const now = Date.now();
+        if (baseline > 0 && Math.abs(magnitude - baseline) / baseline > 0.8) {
+            spikes = spikes.filter(time => now - time < 1000);
+            spikes.push(now);
+            if (spikes.length >= 3 && now > cooldownUntil) {
+                spikes = [];
+                cooldownUntil = now + 1500;
+                undo();
+            }
+        } else {
+            baseline = baseline * 0.9 + magnitude * 0.1;
+        }
+    }, { frequency: 20 });
+}
+
+// ===========================================
+// Archive
+// ===========================================
+
+function createDefaultSettings() {
+    return {
+        archiveAfterDays: 7,
+        reminderLead: 'morning',
+        focus: {
+            workMinutes: 25,
+            breakMinutes: 5,
+            longBreakMinutes: 15,
+            longBreakEvery: 4
+        }
+    };
+}
+
+function normalizeSettings(stored) {
+    const defaults = createDefaultSettings();
+    if (!stored || typeof stored !== 'object') return defaults;
+    
+    return {
+        ...defaults,
+        ...stored,
+        archiveAfterDays: ARCHIVE_AGE_OPTIONS.includes(stored.archiveAfterDays)
+            ? stored.archiveAfterDays
+            : defaults.archiveAfterDays,
+        reminderLead: REMINDER_LEADS.includes(stored.reminderLead)
+            ? stored.reminderLead
+            : defaults.reminderLead,
+        focus: normalizeFocusSettings(stored.focus, defaults.focus)
+    };
+}
+
+function normalizeFocusSettings(stored, defaults) {
+    const focus = stored && typeof stored === 'object' ? stored : {};
+    const pick = (value, options, fallback) => (options.includes(value) ? value : fallback);
+    
+    return {
+        workMinutes: pick(focus.workMinutes, FOCUS_WORK_OPTIONS, defaults.workMinutes),
+        breakMinutes: pick(focus.breakMinutes, FOCUS_BREAK_OPTIONS, defaults.breakMinutes),
+        longBreakMinutes: pick(focus.longBreakMinutes, FOCUS_LONG_BREAK_OPTIONS, defaults.longBreakMinutes),
+        longBreakEvery: pick(focus.longBreakEvery, FOCUS_LONG_BREAK_EVERY_OPTIONS, defaults.longBreakEvery)
+    };
+}
+
+async function saveArchive() {
+    const data = {
+        schemaVersion: SCHEMA_VERSION,
+        tasks: archivedTasks
+    };
+    
+    try {
+        await writeStorage(ARCHIVE_KEY, encodePayload(data, !!window.creationStorage));
+    } catch (e) {
+        console.error('Error saving archive:', e);
+    }
+}
+
+async function loadArchive() {
+    let stored = null;
+    
+    try {
+        stored = await readStorage(ARCHIVE_KEY);
+        if (!stored) return;
+        
+        archivedTasks = upgradePayload(decodePayload(stored)).data.tasks;
+    } catch (e) {
+        console.error('Error loading archive, backing it up:', e);
+        if (stored) {
+            await writeStorage(`${ARCHIVE_KEY}_backup`, stored);
+        }
+    }
+}
+
+function archiveOldTasks() {
+    // Returns true if anything moved
+    if (!settings.archiveAfterDays) return false;
+    
+    const cutoff = Date.now() - settings.archiveAfterDays * DAY_MS;
+    const isOld = task => task.completed && task.completedAt && new Date(task.completedAt).getTime() < cutoff;
+    
+    const old = tasks.filter(isOld);
+    if (old.length === 0) return false;
+    
+    tasks = tasks.filter(task => !isOld(task));
+    archivedTasks.push(...old);
+    
+    saveData();
+    saveArchive();
+    console.log(`Archived ${old.length} completed tasks`);
+    return true;
+}
+
+function showArchiveView() {
+    document.getElementById('archiveAgeSelect').value = String(settings.archiveAfterDays);
+    renderArchive();
+    showView('archiveView');
+}
+
+function closeArchiveView() {
+    showView('mainView');
+    renderTasks();
+}
+
+function updateArchiveAge(event) {
+    settings.archiveAfterDays = Number(event.target.value);
+    saveData();
+    if (archiveOldTasks()) {
+        renderArchive();
+    }
+}
+
+function handleArchiveListClick(event) {
+    const item = event.target.closest('.archive-item');
+    if (!item) return;
+    
+    const taskId = Number(item.dataset.taskId);
+    
+    if (event.target.closest('.archive-restore')) {
+        restoreArchivedTask(taskId);
+    } else if (event.target.closest('.archive-delete')) {
+        if (confirm('Permanently delete this task?')) {
+            archivedTasks = archivedTasks.filter(task => task.id !== taskId);
+            saveArchive();
+            renderArchive();
+        }
+    }
+}
+
+function restoreArchivedTask(taskId) {
+    const task = archivedTasks.find(t => t.id === taskId);
+    if (!task) return;
+    
+    // Restored tasks come back open, otherwise they'd be archived again straight away
+    archivedTasks = archivedTasks.filter(t => t.id !== taskId);
+    reopenTask(task);
+    tasks.push(task);
+    registerProject(task.project, task.organization);
+    registerTags(task.tags);
+    
+    // Earlier snapshots predate the restore; add the task so undoing them doesn't lose it
+    [...undoStack, ...redoStack].forEach(entry => {
+        if (!entry.state.tasks.some(t => t.id === taskId)) {
+            entry.state.tasks.push({ ...task });
+        }
+    });
+    
+    saveData();
+    saveArchive();
+    saveHistory();
+    renderArchive();
+    showToast(`Restored "${truncate(task.task)}"`);
+}
+
+function purgeArchive() {
+    if (archivedTasks.length === 0) return;
+    
+    if (confirm(`Permanently delete ${archivedTasks.length} archived tasks?`)) {
+        archivedTasks = [];
+        saveArchive();
+        renderArchive();
+    }
+}
+
+function renderArchive() {
+    const archiveList = document.getElementById('archiveList');
+    const sorted = [...archivedTasks].sort((a, b) => (b.completedAt || '').localeCompare(a.completedAt || ''));
+    
+    document.getElementById('archiveCount').textContent = archivedTasks.length;
+    document.getElementById('purgeArchiveBtn').disabled = archivedTasks.length === 0;
+    
+    if (sorted.length === 0) {
+        archiveList.innerHTML = '<p class="archive-empty">Archive is empty</p>';
+        return;
+    }
+    
+    archiveList.innerHTML = sorted.map(task => `
+        <div class="archive-item" data-task-id="${task.id}">
+            <div class="archive-title">${escapeHtml(task.task)}</div>
+            <div class="task-meta">
+                ${task.project ? `<span class="task-tag project">📁 ${escapeHtml(task.project)}</span>` : ''}
+                ${task.completedAt ? `<span class="task-tag">✓ ${formatDate(toDateKey(new Date(task.completedAt)))}</span>` : ''}
+            </div>
+            <div class="archive-actions">
+                <button class="archive-restore">Restore</button>
+                <button class="archive-delete">Delete</button>
+            </div>
+        </div>
+    `).join('');
+    
+    if (focusedFieldIndex !== -1) {
+        updateFieldFocus();
+    }
+}
+
+// ===========================================
+// Stats
+// ===========================================
+
+function showStatsView() {
+    statsCardIndex = 0;
+    renderStats();
+    showView('statsView');
+}
+
+function closeStatsView() {
+    showView('mainView');
+    renderTasks();
+}
+
+function moveStatsCard(step) {
+    const cards = document.querySelectorAll('.stats-card');
+    statsCardIndex = Math.min(Math.max(statsCardIndex + step, 0), cards.length - 1);
+    renderStatsCard();
+}
+
+function renderStats() {
+    // Archived tasks are still finished work
+    const allTasks = [...tasks, ...archivedTasks];
+    const now = new Date();
+    
+    const days = countCompletedByDay(allTasks, 7, now);
+    document.getElementById('statsToday').textContent = days[days.length - 1].count;
+    document.getElementById('statsDays').innerHTML = days.map(({ dateKey, count }) => renderStatsRow(
+        dateKey === toDateKey(now) ? 'Today' : WEEKDAY_NAMES[parseDateKey(dateKey).getDay()],
+        count
+    )).join('');
+    
+    const weeks = countCompletedByWeek(allTasks, STATS_WEEKS, now);
+    document.getElementById('statsWeek').textContent = weeks[weeks.length - 1].count;
+    document.getElementById('statsWeeks').innerHTML = weeks.map(({ dateKey, count }, index) => renderStatsRow(
+        index === weeks.length - 1 ? 'This week' : `Week of ${formatDate(dateKey)}`,
+        count
+    )).join('');
+    
+    const open = tasks.filter(task => !task.completed);
+    const averageMs = getAverageCompletionTime(allTasks);
+    document.getElementById('statsOverdue').textContent = open.filter(task => isPastDue(task, now)).length;
+    document.getElementById('statsSummary').innerHTML = [
+        renderStatsRow('Open', open.length),
+        renderStatsRow('Completed', allTasks.filter(task => task.completed).length),
+        renderStatsRow('Avg. time to done', averageMs === null ? '–' : formatElapsed(averageMs))
+    ].join('');
+    
+    const burndown = getBurndown(allTasks, STATS_BURNDOWN_DAYS, now);
+    document.getElementById('statsOpen').textContent = burndown[burndown.length - 1];
+    document.getElementById('statsBurndownNote').textContent =
+        `${burndown[0]} open ${STATS_BURNDOWN_DAYS - 1} days ago, peak ${Math.max(...burndown)}`;
+    drawSparkline(document.getElementById('statsSparkline'), burndown);
+    
+    const projectCounts = countByProject(allTasks);
+    document.getElementById('statsProjects').innerHTML = projectCounts.length === 0
+        ? '<p class="archive-empty">No tasks yet</p>'
+        : projectCounts.map(({ project, open, closed }) => renderStatsRow(
+            project ? `📁 ${escapeHtml(project)}` : 'No project',
+            `${open} open · ${closed} done`
+        )).join('');
+    
+    renderStatsCard();
+}
+
+function renderStatsSummary() {
+    // Today's headline figures on the main view's way into the dashboard
+    const now = new Date();
+    const [today] = countCompletedByDay([...tasks, ...archivedTasks], 1, now);
+    const overdue = tasks.filter(task => !task.completed && isPastDue(task, now)).length;
+    document.getElementById('statsBtn').textContent = `📊 ${today.count} done today · ${overdue} overdue`;
+}
+
+function renderStatsRow(label, value) {
+    return `
+        <div class="stats-row">
+            <span class="stats-row-label">${label}</span>
+            <span class="stats-row-value">${value}</span>
+        </div>
+    `;
+}
+
+function renderStatsCard() {
+    const cards = document.querySelectorAll('.stats-card');
+    cards.forEach((card, index) => {
+        card.classList.toggle('visible', index === statsCardIndex);
+    });
+    document.getElementById('statsPage').textContent = `${statsCardIndex + 1}/${cards.length}`;
+}
+
+function drawSparkline(canvas, values) {
+    const context = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const padding = 4;
+    const max = Math.max(...values, 1);
+    const x = index => padding + index * (width - padding * 2) / Math.max(values.length - 1, 1);
+    const y = value => height - padding - value / max * (height - padding * 2);
+    
+    context.clearRect(0, 0, width, height);
+    
+    // Zero line
+    context.strokeStyle = '#333';
+    context.lineWidth = 1;
+    context.beginPath();
+    context.moveTo(padding, y(0));
+    context.lineTo(width - padding, y(0));
+    context.stroke();
+    
+    context.strokeStyle = '#FE5F00';
+    context.lineWidth = 2;
+    context.lineJoin = 'round';
+    context.beginPath();
+    values.forEach((value, index) => {
+        if (index === 0) {
+            context.moveTo(x(index), y(value));
+        } else {
+            context.lineTo(x(index), y(value));
+        }
+    });
+    context.stroke();
+    
+    // Mark where things stand now
+    const last = values.length - 1;
+    context.fillStyle = '#FE5F00';
+    context.beginPath();
+    context.arc(x(last), y(values[last]), 3, 0, Math.PI * 2);
+    context.fill();
+}
+
+// ===========================================
+// Search
+// ===========================================
+
+function showSearchView() {
+    const input = document.getElementById('searchInput');
+    input.value = '';
+    renderSearchResults();
+    showView('searchView');
+    
+    // Without the side button, typing is the way in
+    if (typeof PluginMessageHandler === 'undefined') {
+        input.focus();
+    }
+}
+
+function closeSearchView() {
+    if (isListening) {
+        endListening();
+    }
+    showView('mainView');
+}
+
+function getSearchText(task) {
+    // Anything shown on a task can be searched for
+    return [
+        task.task,
+        task.project,
+        getTaskOrganization(task),
+        task.priority,
+        ...(task.tags || []),
+        ...(task.subtasks || []).map(subtask => subtask.text),
+        task.dueDate ? `${task.dueDate} ${formatDue(task)}` : '',
+        task.repeat ? describeRepeatRule(task.repeat) : '',
+        task.issue ? `${task.issue.repo} ${task.issue.number}` : '',
+        task.completed ? 'done completed' : ''
+    ].filter(Boolean).join(' ');
+}
+
+function renderSearchResults() {
+    const query = document.getElementById('searchInput').value.trim();
+    const status = document.getElementById('searchStatus');
+    const results = document.getElementById('searchResults');
+    
+    // List order breaks ties between equally good matches
+    const matches = query ? rankMatches(query, sortTasks(), getSearchText).slice(0, SEARCH_RESULT_LIMIT) : [];
+    
+    status.classList.remove('listening', 'error');
+    if (!query) {
+        status.textContent = 'Type, or press side button to speak';
+    } else if (matches.length === 0) {
+        status.textContent = `No tasks match "${query}"`;
+    } else {
+        status.textContent = `${pluralize(matches.length, 'result')} for "${query}"`;
+    }
+    
+    results.innerHTML = matches.map(({ item: task }) => `
+        <button class="search-result ${task.completed ? 'completed' : ''}" data-task-id="${task.id}">
+            <span class="search-result-title">${escapeHtml(task.task)}</span>
+            <span class="task-meta">
+                ${task.priority ? `<span class="task-tag priority ${task.priority.toLowerCase()}">${task.priority}</span>` : ''}
+                ${task.project ? `<span class="task-tag project">📁 ${escapeHtml(task.project)}</span>` : ''}
+                ${getTaskOrganization(task) ? `<span class="task-tag org">🏢 ${escapeHtml(getTaskOrganization(task))}</span>` : ''}
+                ${task.dueDate ? `<span class="task-tag due">📅 ${formatDue(task)}</span>` : ''}
+                ${(task.tags || []).map(tag => `<span class="task-tag label">#${escapeHtml(tag)}</span>`).join('')}
+            </span>
+        </button>
+    `).join('');
+    
+    // Results change under the wheel as the query changes
+    clearFieldFocus();
+}
+
+function handleSearchResultClick(event) {
+    const result = event.target.closest('.search-result');
+    if (result) {
+        showEditView(Number(result.dataset.taskId));
+    }
+}
+
+function startSearchVoiceInput() {
+    isListening = true;
+    voiceMode = 'search';
+    armVoiceTimeout();
+    
+    const status = document.getElementById('searchStatus');
+    status.classList.remove('error');
+    status.classList.add('listening');
+    status.textContent = 'Listening... Say what to look for';
+    
+    if (typeof PluginMessageHandler !== 'undefined') {
+        const prompt = `The user is searching their list of software development tasks. Write down what they are looking for.
+
+Keep the words that identify tasks (task words, project, organization, tag, priority or date) and drop filler like "find", "search for" or "show me".
+
+Respond ONLY with valid JSON in this exact format:
+{"query":"search words"}
+
+Now listen for the user's search.`;
+
+        PluginMessageHandler.postMessage(JSON.stringify({
+            message: prompt,
+            useLLM: true,
+            wantsR1Response: false
+        }));
+    } else {
+        // Browser fallback - simulate voice input
+        setTimeout(() => {
+            processSearchVoiceResponse({ query: 'auth' });
+        }, 2000);
+    }
+}
+
+function processSearchVoiceResponse(data) {
+    endListening();
+    
+    document.getElementById('searchInput').value = data.query.trim();
+    renderSearchResults();
+}
+
+// ===========================================
+// Import / Export
+// ===========================================
+
+function showTransferView() {
+    renderExport();
+    document.getElementById('importInput').value = '';
+    document.getElementById('importUrlInput').value = '';
+    document.getElementById('importResult').textContent = '';
+    showView('transferView');
+}
+
+function closeTransferView() {
+    showView('mainView');
+    renderTasks();
+}
+
+function buildExport(format) {
+    if (format === 'csv') return exportCsv(tasks);
+    if (format === 'markdown') return exportMarkdown(tasks);
+    if (format === 'ical') {
+        return exportICalendar(tasks, {
+            includeEvents: document.getElementById('exportEventsToggle').checked
+        });
+    }
+    
+    return exportJson({
+        schemaVersion: SCHEMA_VERSION,
+        tasks,
+        projects,
+        organizations,
+        tags,
+        projectColors,
+        projectOrgs,
+        archivedTasks
+    });
+}
+
+function renderExport() {
+    const format = document.getElementById('exportFormatSelect').value;
+    document.getElementById('exportEventsRow').classList.toggle('visible', format === 'ical');
+    document.getElementById('exportOutput').value = buildExport(format);
+}
+
+async function copyExport() {
+    const output = document.getElementById('exportOutput');
+    
+    try {
+        await navigator.clipboard.writeText(output.value);
+        showToast('Copied to clipboard');
+    } catch (e) {
+        // Older webviews have no async clipboard
+        output.select();
+        const copied = document.execCommand && document.execCommand('copy');
+        showToast(copied ? 'Copied to clipboard' : 'Copy failed, select the text instead');
+    }
+}
+
+function downloadExport() {
+    const format = document.getElementById('exportFormatSelect').value;
+    const file = EXPORT_FILES[format];
+    const blob = new Blob([buildExport(format)], { type: file.type });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `dev-tasks-${toDateKey(new Date())}.${file.extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function runImport() {
+    const resultText = document.getElementById('importResult');
+    const url = document.getElementById('importUrlInput').value.trim();
+    const mode = document.getElementById('importModeSelect').value;
+    let text = document.getElementById('importInput').value;
+    
+    if (url) {
+        resultText.textContent = 'Fetching...';
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            text = await response.text();
+        } catch (e) {
+            resultText.textContent = `Couldn't fetch: ${e.message}`;
+            return;
+        }
+    }
+    
+    let imported;
+    try {
+        imported = readImport(text);
+    } catch (e) {
+        resultText.textContent = `Import failed: ${e.message}`;
+        return;
+    }
+    
+    if (imported.tasks.length === 0) {
+        resultText.textContent = 'No tasks found';
+        return;
+    }
+    
+    if (mode === 'replace' && !confirm(`Replace all ${tasks.length} tasks with ${imported.tasks.length} imported tasks?`)) {
+        return;
+    }
+    
+    const summary = applyImport(imported, mode);
+    resultText.textContent = summary;
+    showToast(summary, 'Undo', () => {
+        showView('mainView');
+        undo();
+    });
+}
+
+function readImport(text) {
+    const parsed = parseImport(text);
+    
+    // Run imports through the same checks and migrations as stored data
+    const { data } = upgradePayload({
+        schemaVersion: parsed.schemaVersion,
+        // Numbering id-less rows 1, 2, 3... would clash with tasks already here
+        tasks: parsed.tasks.map(task => (Number.isFinite(task.id) ? task : { ...task, id: generateId() })),
+        projects: parsed.projects,
+        organizations: parsed.organizations,
+        tags: parsed.tags,
+        projectColors: parsed.projectColors,
+        projectOrgs: parsed.projectOrgs
+    });
+    
+    data.tasks = data.tasks.map(task => ({
+        ...task,
+        priority: normalizePriority(task.priority),
+        repeat: normalizeRepeatRule(task.repeat),
+        subtasks: (Array.isArray(task.subtasks) ? task.subtasks : [])
+            .filter(subtask => subtask && typeof subtask.text === 'string' && subtask.text.trim())
+            .map(subtask => ({
+                ...createSubtask(subtask.text),
+                ...(Number.isFinite(subtask.id) ? { id: subtask.id } : {}),
+                completed: subtask.completed === true
+            })),
+        autoComplete: task.autoComplete !== false,
+        // A running timer doesn't carry over into another copy of the data
+        sessions: (Array.isArray(task.sessions) ? task.sessions : [])
+            .filter(session => session && session.start && session.end),
+        pomodoros: (Array.isArray(task.pomodoros) ? task.pomodoros : [])
+            .filter(time => typeof time === 'string'),
+        blockedBy: (Array.isArray(task.blockedBy) ? task.blockedBy : []).filter(Number.isFinite),
+        tags: normalizeTags(Array.isArray(task.tags) ? task.tags : []),
+        // Spreadsheets like to reformat dates, so read them like typed ones
+        dueDate: parseDate(task.dueDate),
+        dueTime: parseTime(task.dueTime || ''),
+        completedAt: task.completed ? (task.completedAt || new Date().toISOString()) : null
+    }));
+    
+    return { ...data, format: parsed.format };
+}
+
+function applyImport(imported, mode) {
+    recordHistory(mode === 'replace' ? 'Import (replace)' : 'Import (merge)');
+    
+    let added = 0;
+    let updated = 0;
+    let skipped = 0;
+    
+    if (mode === 'replace') {
+        // The archive isn't replaced, and a backup lists its archived tasks alongside the active ones;
+        // other formats only hold active tasks, so a clashing id there is another task
+        const archivedIds = new Set(archivedTasks.map(task => task.id));
+        tasks = [];
+        imported.tasks.forEach(task => {
+            if (!archivedIds.has(task.id)) {
+                tasks.push(task);
+            } else if (imported.format === 'json') {
+                skipped++;
+            } else {
+                tasks.push({ ...task, id: generateId() });
+            }
+        });
+        projects = [];
+        organizations = [];
+        tags = [];
+        projectColors = {};
+        projectOrgs = {};
+        added = tasks.length;
+    } else {
+        const duplicateKey = task => `${task.task.trim().toLowerCase()}|${(task.project || '').toLowerCase()}`;
+        const existingKeys = new Set([...tasks, ...archivedTasks].map(duplicateKey));
+        const usedIds = new Set([...tasks, ...archivedTasks].map(task => task.id));
+        const renumbered = new Map();
+        const addedTasks = [];
+        
+        imported.tasks.forEach(task => {
+            // Calendar entries carry a UID, so re-importing updates the task they came from
+            if (imported.format === 'ical') {
+                const isSame = existing => (task.icalUid ? existing.icalUid === task.icalUid : !existing.icalUid && existing.id === task.id);
+                const match = tasks.find(isSame);
+                if (match) {
+                    applyCalendarEntry(match, task);
+                    updated++;
+                    return;
+                }
+                if (archivedTasks.some(isSame)) {
+                    skipped++;
+                    return;
+                }
+            }
+            
+            if (existingKeys.has(duplicateKey(task))) {
+                skipped++;
+                return;
+            }
+            
+            existingKeys.add(duplicateKey(task));
+            const newTask = usedIds.has(task.id) ? { ...task, id: generateId() } : task;
+            if (newTask.id !== task.id) {
+                renumbered.set(task.id, newTask.id);
+            }
+            usedIds.add(newTask.id);
+            tasks.push(newTask);
+            addedTasks.push(newTask);
+            added++;
+        });
+        
+        // Dependencies between imported tasks follow them to their new ids
+        addedTasks.forEach(task => {
+            task.blockedBy = (task.blockedBy || []).map(id => renumbered.get(id) || id);
+        });
+    }
+    
+    // Keep the project, organization and tag lists in step with the tasks;
+    // colors and organizations already picked here win over the imported ones
+    projectColors = { ...imported.projectColors, ...projectColors };
+    projectOrgs = { ...imported.projectOrgs, ...projectOrgs };
+    imported.projects.forEach(project => registerProject(project, ''));
+    imported.organizations.forEach(organization => registerProject('', organization));
+    tasks.forEach(task => registerProject(task.project, task.organization));
+    registerTags(normalizeTags(imported.tags));
+    tasks.forEach(task => registerTags(task.tags));
+    
+    saveData();
+    archiveOldTasks();
+    renderTasks();
+    
+    const summary = [`Imported ${pluralize(added, 'task')}`];
+    if (updated) summary.push(`updated ${updated}`);
+    if (skipped) summary.push(`skipped ${pluralize(skipped, 'duplicate')}`);
+    return summary.join(', ');
+}
+
+function applyCalendarEntry(task, entry) {
+    // Only the fields an .ics file carries; steps and other local data stay as they are
+    ['task', 'project', 'organization', 'dueDate', 'dueTime', 'priority'].forEach(field => {
+        task[field] = entry[field];
+    });
+    touchTask(task);
+    
+    // A finished occurrence has already handed its rule on
+    if (!task.completed) {
+        task.repeat = entry.repeat;
+    }
+    
+    if (entry.completed && !task.completed) {
+        markTaskCompleted(task);
+        task.completedAt = entry.completedAt || task.completedAt;
+    } else if (!entry.completed && task.completed) {
+        reopenTask(task);
+    }
+}
+
+// ===========================================
+// Tracker Sync
+// ===========================================
+
+function showSyncView() {
+    document.getElementById('syncUrlInput').value = syncConfig.baseUrl;
+    document.getElementById('syncTokenInput').value = syncConfig.token;
+    renderSyncStatus();
+    showView('syncView');
+}
+
+function closeSyncView() {
+    showView('transferView');
+}
+
+function saveSyncSettings() {
+    syncConfig.baseUrl = document.getElementById('syncUrlInput').value.trim();
+    syncConfig.token = document.getElementById('syncTokenInput').value.trim();
+    saveSyncConfig();
+    
+    if (syncConfig.baseUrl) {
+        runSync(true);
+    } else {
+        renderSyncStatus('Sync off');
+    }
+}
+
+function queueSync() {
+    // Changes made by the sync itself don't need pushing back
+    if (isSyncing || !syncConfig.baseUrl) return;
+    
+    clearTimeout(syncTimer);
+    syncTimer = setTimeout(runSync, SYNC_DELAY_MS);
+}
+
+async function runSync(manual = false) {
+    if (!syncConfig.baseUrl || isSyncing) return;
+    
+    clearTimeout(syncTimer);
+    isSyncing = true;
+    renderSyncStatus('Syncing...');
+    
+    // History is only recorded if the sync changes something
+    const before = captureState();
+    
+    try {
+        const client = createTrackerClient(syncConfig);
+        const result = await syncTasks(client, {
+            tasks,
+            archivedTasks,
+            complete: markTaskCompleted,
+            reopen: reopenTask
+        });
+        
+        result.created.forEach(task => {
+            tasks.push({ ...task, id: generateId() });
+            registerProject(task.project, task.organization);
+            registerTags(task.tags);
+        });
+        
+        const changes = result.created.length + result.pulled;
+        if (changes) {
+            recordHistory('Sync', before);
+        }
+        
+        syncConfig.lastSyncAt = new Date().toISOString();
+        saveSyncConfig();
+        saveData();
+        saveArchive();
+        renderTasks();
+        
+        const summary = [];
+        if (result.created.length) summary.push(`${pluralize(result.created.length, 'new issue')}`);
+        if (result.pulled) summary.push(`${pluralize(result.pulled, 'task')} updated`);
+        if (result.pushed) summary.push(`${pluralize(result.pushed, 'issue')} updated`);
+        
+        renderSyncStatus();
+        if (summary.length) {
+            showToast(`Synced: ${summary.join(', ')}`, changes ? 'Undo' : undefined, changes ? undo : undefined);
+        } else if (manual) {
+            showToast('Already in sync');
+        }
+    } catch (e) {
+        console.error('Sync failed:', e);
+        renderSyncStatus(`Sync failed: ${e.message}`);
+        if (manual) {
+            showToast('Sync failed');
+        }
+    } finally {
+        isSyncing = false;
+    }
+}
+
+function renderSyncStatus(message) {
+    const status = document.getElementById('syncStatus');
+    
+    if (message) {
+        status.textContent = message;
+    } else if (!syncConfig.baseUrl) {
+        status.textContent = 'Sync off';
+    } else if (syncConfig.lastSyncAt) {
+        const time = new Date(syncConfig.lastSyncAt);
+        status.textContent = `Last synced ${formatDate(toDateKey(time))} ${time.toTimeString().slice(0, 5)}`;
+    } else {
+        status.textContent = 'Not synced yet';
+    }
+}
+
+async function saveSyncConfig() {
+    // Kept apart from the task data so the token never ends up in exports or history
+    try {
+        await writeStorage(SYNC_KEY, encodePayload(syncConfig, !!window.creationStorage));
+    } catch (e) {
+        console.error('Error saving sync settings:', e);
+    }
+}
+
+async function loadSyncConfig() {
+    try {
+        const stored = await readStorage(SYNC_KEY);
+        if (!stored) return;
+        
+        const data = decodePayload(stored);
+        syncConfig = {
+            baseUrl: typeof data.baseUrl === 'string' ? data.baseUrl : '',
+            token: typeof data.token === 'string' ? data.token : '',
+            lastSyncAt: data.lastSyncAt || null
+        };
+    } catch (e) {
+        console.error('Error loading sync settings:', e);
+    }
+}
+
+// ===========================================
+// Time Tracking
+// ===========================================
+
+function getRunningTask() {
+    // Only one session is ever open, so the running timer is derived from the tasks
+    return tasks.find(task => (task.sessions || []).some(session => !session.end)) || null;
+}
+
+function getTrackedMs(task, now = Date.now()) {
+    return (task.sessions || []).reduce((total, session) => {
+        const end = session.end ? new Date(session.end).getTime() : now;
+        return total + Math.max(0, end - new Date(session.start).getTime());
+    }, 0);
+}
+
+function getProjectTrackedMs(project) {
+    return [...tasks, ...archivedTasks]
+        .filter(task => task.project === project)
+        .reduce((total, task) => total + getTrackedMs(task), 0);
+}
+
+function startTimer(task) {
+    const running = getRunningTask();
+    if (running === task) return;
+    
+    recordHistory(`Start timer on "${truncate(task.task)}"`);
+    if (running) {
+        closeSession(running);
+    }
+    task.sessions = [...(task.sessions || []), { start: new Date().toISOString(), end: null }];
+    
+    saveData();
+    renderTasks();
+    renderTimer();
+    showToast(running ? `Switched timer to "${truncate(task.task)}"` : `Timing "${truncate(task.task)}"`);
+}
+
+function stopTimer() {
+    const task = getRunningTask();
+    if (!task) return;
+    
+    recordHistory(`Stop timer on "${truncate(task.task)}"`);
+    closeSession(task);
+    
+    const session = task.sessions[task.sessions.length - 1];
+    const elapsed = new Date(session.end) - new Date(session.start);
+    
+    saveData();
+    renderTasks();
+    renderTimer();
+    showToast(`Tracked ${formatDuration(elapsed)} on "${truncate(task.task)}"`, 'Undo', undo);
+}
+
+function toggleTimer(task) {
+    if (getRunningTask() === task) {
+        stopTimer();
+    } else {
+        startTimer(task);
+    }
+}
+
+function closeSession(task) {
+    // Returns true if a running session was stopped
+    const open = (task.sessions || []).find(session => !session.end);
+    if (!open) return false;
+    
+    open.end = new Date().toISOString();
+    return true;
+}
+
+function getLongPressTarget() {
+    const currentView = document.querySelector('.view.active').id;
+    const taskId = currentView === 'editView' ? editingTaskId : currentView === 'mainView' ? highlightedTaskId : null;
+    return tasks.find(task => task.id === taskId) || null;
+}
+
+function handleLongPressStart() {
+    // The target is fixed when the press starts, so scrolling while holding doesn't change it
+    const task = getLongPressTarget();
+    const running = getRunningTask();
+    longPressTaskId = task ? task.id : null;
+    
+    if (task && task !== running) {
+        showToast(`Release to time "${truncate(task.task)}"`);
+    } else if (running) {
+        showToast('Release to stop the timer');
+    } else {
+        showToast('Highlight a task to time it');
+    }
+}
+
+function handleLongPressEnd() {
+    const task = tasks.find(t => t.id === longPressTaskId);
+    longPressTaskId = null;
+    
+    if (task) {
+        toggleTimer(task);
+    } else if (getRunningTask()) {
+        stopTimer();
+    }
+}
+
+function renderTimer() {
+    const running = getRunningTask();
+    const indicator = document.getElementById('timerIndicator');
+    
+    indicator.classList.toggle('visible', !!running);
+    indicator.parentElement.classList.toggle('timing', !!running);
+    if (running) {
+        const session = running.sessions.find(s => !s.end);
+        indicator.textContent = `⏱ ${formatClock(Date.now() - new Date(session.start).getTime())}`;
+    }
+    
+    const editing = tasks.find(task => task.id === editingTaskId);
+    if (editing) {
+        const tracked = getTrackedMs(editing);
+        const projectTracked = editing.project ? getProjectTrackedMs(editing.project) : 0;
+        document.getElementById('editTrackedTime').textContent = [
+            tracked ? formatDuration(tracked) : '',
+            projectTracked ? `(${editing.project}: ${formatDuration(projectTracked)})` : ''
+        ].filter(Boolean).join(' ');
+        document.getElementById('editTimerBtn').textContent = editing === running ? 'Stop Timer' : 'Start Timer';
+    }
+    
+    // Only tick while something is running
+    if (running && !timerTick) {
+        timerTick = setInterval(renderTimer, TIMER_TICK_MS);
+    } else if (!running && timerTick) {
+        clearInterval(timerTick);
+        timerTick = null;
+    }
+}
+
+// ===========================================
+// Focus Mode
+// ===========================================
+
+function showFocusView(taskId) {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return;
+    
+    focusSession = {
+        taskId,
+        phase: 'work',
+        endsAt: null,
+        remainingMs: getFocusPhaseMinutes('work') * 60 * 1000,
+        started: false,
+        completedWork: 0
+    };
+    
+    document.getElementById('focusWorkSelect').value = String(settings.focus.workMinutes);
+    document.getElementById('focusBreakSelect').value = String(settings.focus.breakMinutes);
+    document.getElementById('focusLongBreakSelect').value = String(settings.focus.longBreakMinutes);
+    document.getElementById('focusLongBreakEverySelect').value = String(settings.focus.longBreakEvery);
+    
+    renderFocus();
+    showView('focusView');
+}
+
+function closeFocusView() {
+    // The session doesn't outlive the screen, so a pomodoro under way would be lost
+    if (focusSession && focusSession.phase === 'work' && focusSession.started &&
+        !confirm('Leave and drop the current pomodoro?')) {
+        return;
+    }
+    
+    stopFocusTick();
+    focusSession = null;
+    showView('mainView');
+    renderTasks();
+}
+
+function getFocusPhaseMinutes(phase) {
+    if (phase === 'break') return settings.focus.breakMinutes;
+    if (phase === 'longBreak') return settings.focus.longBreakMinutes;
+    return settings.focus.workMinutes;
+}
+
+function getFocusRemaining() {
+    // Counting down to a fixed end time keeps it right when the webview is throttled
+    return focusSession.endsAt ? Math.max(0, focusSession.endsAt - Date.now()) : focusSession.remainingMs;
+}
+
+function toggleFocus() {
+    if (!focusSession) return;
+    
+    if (focusSession.endsAt) {
+        focusSession.remainingMs = getFocusRemaining();
+        focusSession.endsAt = null;
+        stopFocusTick();
+    } else {
+        focusSession.endsAt = Date.now() + focusSession.remainingMs;
+        focusSession.started = true;
+        focusTick = setInterval(tickFocus, TIMER_TICK_MS);
+    }
+    
+    renderFocus();
+}
+
+function stopFocusTick() {
+    clearInterval(focusTick);
+    focusTick = null;
+}
+
+function adjustFocusTime(minutes) {
+    if (!focusSession) return;
+    
+    const remaining = Math.min(
+        Math.max(getFocusRemaining() + minutes * 60 * 1000, 60 * 1000),
+        FOCUS_MAX_MINUTES * 60 * 1000
+    );
+    
+    if (focusSession.endsAt) {
+        focusSession.endsAt = Date.now() + remaining;
+    } else {
+        focusSession.remainingMs = remaining;
+    }
+    
+    renderFocus();
+}
+
+function tickFocus() {
+    if (getFocusRemaining() <= 0) {
+        completeFocusPhase();
+    }
+    renderFocus();
+}
+
+function completeFocusPhase() {
+    const task = tasks.find(t => t.id === focusSession.taskId);
+    
+    if (focusSession.phase === 'work') {
+        if (task) {
+            recordHistory(`Pomodoro on "${truncate(task.task)}"`);
+            task.pomodoros = [...(task.pomodoros || []), new Date().toISOString()];
+            saveData();
+        }
+        
+        focusSession.completedWork++;
+        const every = settings.focus.longBreakEvery;
+        focusSession.phase = every && focusSession.completedWork % every === 0 ? 'longBreak' : 'break';
+        
+        // Breaks start by themselves
+        const minutes = getFocusPhaseMinutes(focusSession.phase);
+        focusSession.endsAt = Date.now() + minutes * 60 * 1000;
+        speak(`Pomodoro done. Take a ${minutes} minute break.`);
+        showToast(`🍅 Pomodoro done, ${countPomodorosToday()} today`);
+    } else {
+        // The next pomodoro waits for the side button
+        focusSession.phase = 'work';
+        focusSession.endsAt = null;
+        focusSession.remainingMs = getFocusPhaseMinutes('work') * 60 * 1000;
+        focusSession.started = false;
+        stopFocusTick();
+        speak('Break over. Press the side button to start the next pomodoro.');
+    }
+}
+
+function updateFocusSettings() {
+    settings.focus = normalizeFocusSettings({
+        workMinutes: Number(document.getElementById('focusWorkSelect').value),
+        breakMinutes: Number(document.getElementById('focusBreakSelect').value),
+        longBreakMinutes: Number(document.getElementById('focusLongBreakSelect').value),
+        longBreakEvery: Number(document.getElementById('focusLongBreakEverySelect').value)
+    }, createDefaultSettings().focus);
+    saveData();
+    
+    // A phase that hasn't started yet takes the new length
+    if (focusSession && !focusSession.started) {
+        focusSession.remainingMs = getFocusPhaseMinutes(focusSession.phase) * 60 * 1000;
+        renderFocus();
+    }
+}
+
+function countPomodorosToday() {
+    const todayKey = toDateKey(new Date());
+    return [...tasks, ...archivedTasks].reduce((count, task) =>
+        count + (task.pomodoros || []).filter(time => toDateKey(new Date(time)) === todayKey).length, 0);
+}
+
+function renderFocus() {
+    if (!focusSession) return;
+    
+    const view = document.getElementById('focusView');
+    const task = tasks.find(t => t.id === focusSession.taskId);
+    const running = !!focusSession.endsAt;
+    const isBreak = focusSession.phase !== 'work';
+    
+    view.classList.toggle('on-break', isBreak);
+    view.classList.toggle('paused', !running);
+    
+    document.getElementById('focusPhase').textContent = FOCUS_PHASE_LABELS[focusSession.phase];
+    document.getElementById('focusTask').textContent = task ? task.task : '';
+    // Round up so a fresh 25 minutes shows 25:00 rather than 24:59
+    document.getElementById('focusCountdown').textContent = formatClock(Math.ceil(getFocusRemaining() / 1000) * 1000);
+    
+    const taskCount = task && task.pomodoros ? task.pomodoros.length : 0;
+    document.getElementById('focusStatus').textContent = `🍅 ${countPomodorosToday()} today · ${taskCount} on this task`;
+    document.getElementById('focusToggleBtn').textContent = running ? 'Pause' : focusSession.started ? 'Resume' : 'Start';
+}
+
+// ===========================================
+// Reminders
+// ===========================================
+
+function getReminderKey(task) {
+    // Rescheduling a task arms its reminder again
+    return `${task.id}|${task.dueDate}${task.dueTime ? ` ${task.dueTime}` : ''}`;
+}
+
+function getDueMoment(task) {
+    // Tasks without a time are treated as due at the start of the working day
+    const due = parseDateKey(task.dueDate);
+    const [hours, minutes] = task.dueTime ? task.dueTime.split(':').map(Number) : [REMINDER_MORNING_HOUR, 0];
+    due.setHours(hours, minutes, 0, 0);
+    return due;
+}
+
+function getReminderTime(task) {
+    if (settings.reminderLead === 'off' || task.completed || !task.dueDate) return null;
+    
+    if (settings.reminderLead === 'morning') {
+        const morning = parseDateKey(task.dueDate);
+        morning.setHours(REMINDER_MORNING_HOUR, 0, 0, 0);
+        // A task due before the morning reminder gets it when it falls due instead
+        return new Date(Math.min(morning.getTime(), getDueMoment(task).getTime()));
+    }
+    
+    return new Date(getDueMoment(task).getTime() - REMINDER_LEAD_MINUTES[settings.reminderLead] * 60 * 1000);
+}
+
+function isReminderPending(entry, now) {
+    return !entry || (entry.state === 'snoozed' && entry.until <= now);
+}
+
+function checkReminders() {
+    const now = Date.now();
+    
+    // Forget reminders for tasks that are gone, finished or moved to another day
+    const liveKeys = new Set(tasks.filter(task => !task.completed).map(getReminderKey));
+    Object.keys(reminderLog).forEach(key => {
+        if (!liveKeys.has(key)) delete reminderLog[key];
+    });
+    
+    const due = tasks.filter(task => {
+        const time = getReminderTime(task);
+        return time && time.getTime() <= now && isReminderPending(reminderLog[getReminderKey(task)], now);
+    }).sort(compareByDueDate);
+    
+    if (due.length > 0) {
+        due.forEach(task => {
+            reminderLog[getReminderKey(task)] = { state: 'fired', at: now };
+            if (!activeReminders.includes(task.id)) {
+                activeReminders.push(task.id);
+            }
+        });
+        
+        speak(due.length === 1
+            ? `Reminder: ${describeReminder(due[0])}.`
+            : `${due.length} reminders: ${due.map(describeReminder).join('; ')}.`);
+    }
+    
+    // Reminders announced before a reload still wait for snooze or dismiss
+    tasks.forEach(task => {
+        const entry = reminderLog[getReminderKey(task)];
+        if (entry && entry.state === 'fired' && !activeReminders.includes(task.id)) {
+            activeReminders.push(task.id);
+        }
+    });
+    
+    saveReminders();
+    renderReminderPanel();
+    
+    // Countdowns and overdue marks on timed tasks move on with the clock
+    const hasTimedTasksSoon = tasks.some(task => task.dueTime && !task.completed &&
+        (matchesDueRange(task, 'today') || matchesDueRange(task, 'tomorrow')));
+    if (hasTimedTasksSoon && isMainViewActive()) {
+        renderTasks();
+    }
+}
+
+function describeReminder(task) {
+    const time = task.dueTime ? ` at ${task.dueTime}` : '';
+    if (matchesDueRange(task, 'overdue')) return `${task.task} is overdue`;
+    if (matchesDueRange(task, 'today')) return `${task.task} is due today${time}`;
+    if (matchesDueRange(task, 'tomorrow')) return `${task.task} is due tomorrow${time}`;
+    return `${task.task} is due ${formatDate(task.dueDate)}${time}`;
+}
+
+function snoozeReminder() {
+    const task = tasks.find(t => t.id === activeReminders[0]);
+    activeReminders.shift();
+    
+    if (task) {
+        reminderLog[getReminderKey(task)] = { state: 'snoozed', at: Date.now(), until: Date.now() + SNOOZE_MS };
+        showToast(`Snoozed "${truncate(task.task)}" for 15 min`);
+    }
+    
+    saveReminders();
+    renderReminderPanel();
+}
+
+function dismissReminder() {
+    const task = tasks.find(t => t.id === activeReminders[0]);
+    activeReminders.shift();
+    
+    if (task) {
+        reminderLog[getReminderKey(task)] = { state: 'dismissed', at: Date.now() };
+    }
+    
+    saveReminders();
+    renderReminderPanel();
+}
+
+function renderReminderPanel() {
+    const panel = document.getElementById('reminderPanel');
+    
+    // Drop reminders for tasks completed or deleted in the meantime
+    activeReminders = activeReminders.filter(id => tasks.some(task => task.id === id && !task.completed));
+    
+    const task = tasks.find(t => t.id === activeReminders[0]);
+    panel.classList.toggle('visible', !!task);
+    if (!task) return;
+    
+    const more = activeReminders.length > 1 ? ` (1 of ${activeReminders.length})` : '';
+    document.getElementById('reminderText').textContent = `⏰ ${describeReminder(task)}${more}`;
+}
+
+function showRemindersView() {
+    document.getElementById('reminderLeadSelect').value = settings.reminderLead;
+    renderReminderList();
+    showView('remindersView');
+}
+
+function closeRemindersView() {
+    showView('mainView');
+    renderTasks();
+}
+
+function updateReminderLead(event) {
+    settings.reminderLead = event.target.value;
+    saveData();
+    checkReminders();
+    renderReminderList();
+}
+
+function renderReminderList() {
+    const list = document.getElementById('reminderList');
+    const upcoming = tasks
+        .map(task => ({ task, time: getReminderTime(task) }))
+        .filter(item => item.time)
+        .sort((a, b) => a.time - b.time);
     
-    if (!newTask) {
-        alert('Task description is required');
+    if (upcoming.length === 0) {
+        list.innerHTML = `<p class="archive-empty">${settings.reminderLead === 'off' ? 'Reminders are off' : 'No dated tasks'}</p>`;
         return;
     }
     
-    // Handle "New..." selections
-    if (newProject === '__new__') {
-        newProject = prompt('Enter new project name:');
-        if (newProject && !projects.includes(newProject)) {
-            projects.push(newProject);
+    const states = { fired: 'Reminded', snoozed: 'Snoozed', dismissed: 'Dismissed' };
+    
+    list.innerHTML = upcoming.map(({ task, time }) => {
+        const entry = reminderLog[getReminderKey(task)];
+        const status = entry ? states[entry.state] : `${formatDate(toDateKey(time))} ${time.toTimeString().slice(0, 5)}`;
+        
+        return `
+            <div class="archive-item">
+                <div class="archive-title">${escapeHtml(task.task)}</div>
+                <div class="task-meta">
+                    <span class="task-tag due">📅 ${formatDue(task)}</span>
+                    <span class="task-tag">⏰ ${status}</span>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+async function saveReminders() {
+    const data = {
+        schemaVersion: SCHEMA_VERSION,
+        log: reminderLog
+    };
+    
+    try {
+        await writeStorage(REMINDERS_KEY, encodePayload(data, !!window.creationStorage));
+    } catch (e) {
+        console.error('Error saving reminders:', e);
+    }
+}
+
+async function loadReminders() {
+    try {
+        const stored = await readStorage(REMINDERS_KEY);
+        if (!stored) return;
+        
+        const data = decodePayload(stored);
+        if (data.log && typeof data.log === 'object') {
+            reminderLog = data.log;
         }
+    } catch (e) {
+        console.error('Error loading reminders:', e);
     }
+}
+
+// ===========================================
+// Toast
+// ===========================================
+
+function showToast(message, actionLabel, onAction) {
+    const toast = document.getElementById('toast');
+    const actionBtn = document.getElementById('toastActionBtn');
     
-    if (newOrg === '__new__') {
-        newOrg = prompt('Enter new organization name:');
-        if (newOrg && !organizations.includes(newOrg)) {
-            organizations.push(newOrg);
-        }
+    document.getElementById('toastText').textContent = message;
+    toastAction = onAction || null;
+    actionBtn.textContent = actionLabel || '';
+    actionBtn.classList.toggle('visible', !!onAction);
+    toast.classList.add('visible');
+    
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(hideToast, TOAST_MS);
+}
+
+function hideToast() {
+    document.getElementById('toast').classList.remove('visible');
+    toastAction = null;
+}
+
+function handleToastAction() {
+    const action = toastAction;
+    hideToast();
+    if (action) {
+        action();
     }
+}
+
+// ===========================================
+// Recurrence
+// ===========================================
+
+function normalizeRepeatRule(rule) {
+    // Validates a rule from storage or the LLM; returns null if unusable
+    if (!rule || !REPEAT_TYPES.includes(rule.type)) return null;
     
-    // Update task
-    task.task = newTask;
-    task.project = newProject || '';
-    task.organization = newOrg || '';
-    task.dueDate = newDue;
+    if (rule.type === 'weekly') {
+        const days = (Array.isArray(rule.days) ? rule.days : [])
+            .map(parseWeekday)
+            .filter(day => day !== null);
+        if (days.length === 0) return null;
+        return { type: 'weekly', days: [...new Set(days)].sort() };
+    }
     
-    // Save and return
-    saveData();
-    renderTasks();
-    showView('mainView');
+    if (rule.type === 'interval') {
+        const interval = parseInt(rule.interval, 10);
+        if (!(interval >= 1)) return null;
+        return { type: 'interval', interval };
+    }
+    
+    return { type: rule.type };
 }
 
-function deleteTask() {
-    if (!editingTaskId) return;
+function parseWeekday(value) {
+    if (typeof value === 'number') {
+        return value >= 0 && value <= 6 ? value : null;
+    }
+    const index = WEEKDAY_NAMES.findIndex(name =>
+        String(value).trim().toLowerCase().startsWith(name.toLowerCase())
+    );
+    return index === -1 ? null : index;
+}
+
+function getNextRepeatDate(rule, dateKey) {
+    const date = parseDateKey(dateKey);
     
-    if (confirm('Delete this task?')) {
-        tasks = tasks.filter(t => t.id !== editingTaskId);
-        saveData();
-        renderTasks();
-        showView('mainView');
+    switch (rule.type) {
+        case 'daily':
+            date.setDate(date.getDate() + 1);
+            break;
+        case 'interval':
+            date.setDate(date.getDate() + rule.interval);
+            break;
+        case 'weekdays':
+            do {
+                date.setDate(date.getDate() + 1);
+            } while (date.getDay() === 0 || date.getDay() === 6);
+            break;
+        case 'weekly':
+            do {
+                date.setDate(date.getDate() + 1);
+            } while (!rule.days.includes(date.getDay()));
+            break;
+        case 'monthly': {
+            // Keep the day of month, clamped to shorter months
+            const day = date.getDate();
+            date.setDate(1);
+            date.setMonth(date.getMonth() + 1);
+            const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+            date.setDate(Math.min(day, lastDay));
+            break;
+        }
     }
+    
+    return toDateKey(date);
 }
 
-function toggleTaskComplete(taskId) {
-    const task = tasks.find(t => t.id === taskId);
-    if (task) {
-        task.completed = !task.completed;
-        saveData();
-        renderTasks();
+function createNextOccurrence(task) {
+    const todayKey = toDateKey(new Date());
+    
+    // Skip occurrences missed while the task was overdue
+    let nextDue = getNextRepeatDate(task.repeat, task.dueDate || todayKey);
+    while (nextDue <= todayKey) {
+        nextDue = getNextRepeatDate(task.repeat, nextDue);
+    }
+    
+    // Links to outside records stay with the occurrence that was completed
+    const { issue, icalUid, ...rest } = task;
+    const now = new Date().toISOString();
+    
+    return {
+        ...rest,
+        id: generateId(),
+        dueDate: nextDue,
+        subtasks: (task.subtasks || []).map(subtask => ({ ...subtask, completed: false })),
+        sessions: [],
+        pomodoros: [],
+        blockedBy: [],
+        completed: false,
+        completedAt: null,
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+function describeRepeatRule(rule) {
+    switch (rule.type) {
+        case 'daily': return 'Daily';
+        case 'weekdays': return 'Weekdays';
+        case 'weekly': return `Weekly ${rule.days.map(day => WEEKDAY_NAMES[day]).join(', ')}`;
+        case 'monthly': return 'Monthly';
+        case 'interval': return rule.interval === 1 ? 'Daily' : `Every ${rule.interval} days`;
+        default: return '';
+    }
+}
+
+function setRepeatFields(rule) {
+    document.getElementById('editRepeatSelect').value = rule ? rule.type : '';
+    document.getElementById('editRepeatInterval').value = rule && rule.interval ? rule.interval : 2;
+    
+    const days = rule && rule.days ? rule.days : [];
+    document.getElementById('editRepeatDays').innerHTML = WEEKDAY_NAMES.map((name, day) => `
+        <button type="button" class="day-btn ${days.includes(day) ? 'selected' : ''}" data-day="${day}">${name.charAt(0)}</button>
+    `).join('');
+    
+    updateRepeatFields();
+}
+
+function updateRepeatFields() {
+    const type = document.getElementById('editRepeatSelect').value;
+    document.getElementById('editRepeatDays').classList.toggle('visible', type === 'weekly');
+    document.getElementById('editRepeatIntervalGroup').classList.toggle('visible', type === 'interval');
+}
+
+function readRepeatFields() {
+    const type = document.getElementById('editRepeatSelect').value;
+    if (!type) return null;
+    
+    const days = [...document.querySelectorAll('#editRepeatDays .day-btn.selected')]
+        .map(dayBtn => Number(dayBtn.dataset.day));
+    
+    // Weekly with no days picked repeats on the due date's weekday
+    if (type === 'weekly' && days.length === 0) {
+        const due = parseDue(document.getElementById('editDueInput').value);
+        days.push((due ? parseDateKey(due.dueDate) : new Date()).getDay());
     }
+    
+    return normalizeRepeatRule({
+        type,
+        days,
+        interval: document.getElementById('editRepeatInterval').value
+    });
 }
 
 // ===========================================
@@ -461,40 +3808,250 @@ function toggleTaskComplete(taskId) {
 // ===========================================
 
 function toggleSort() {
-    currentSortMode = currentSortMode === 'date' ? 'project' : 'date';
-    
-    const sortBtn = document.getElementById('sortBtn');
-    sortBtn.textContent = currentSortMode === 'date' ? '📅' : '📁';
+    // Cycle through the sort modes
+    const nextIndex = (SORT_MODES.indexOf(currentSortMode) + 1) % SORT_MODES.length;
+    currentSortMode = SORT_MODES[nextIndex];
     
+    updateSortButton();
     saveData();
     renderTasks();
 }
 
+function updateSortButton() {
+    document.getElementById('sortBtn').textContent = SORT_ICONS[currentSortMode];
+}
+
+function compareByDueDate(a, b) {
+    // Tasks with dates first, then by date, undated newest first
+    if (!a.dueDate && !b.dueDate) return b.createdAt.localeCompare(a.createdAt);
+    if (!a.dueDate) return 1;
+    if (!b.dueDate) return -1;
+    // On the same day, timed tasks come before ones due whenever
+    return `${a.dueDate} ${a.dueTime || '24:00'}`.localeCompare(`${b.dueDate} ${b.dueTime || '24:00'}`);
+}
+
+function compareByOrganization(a, b) {
+    // Named organizations alphabetically, tasks without one last
+    const aOrganization = getTaskOrganization(a);
+    const bOrganization = getTaskOrganization(b);
+    if (aOrganization === bOrganization) return 0;
+    if (!aOrganization) return 1;
+    if (!bOrganization) return -1;
+    return aOrganization.localeCompare(bOrganization);
+}
+
 function sortTasks() {
+    const sorted = sortByMode();
+    
+    // Blocked tasks wait below everything that can be worked on now
+    const blocked = sorted.filter(task => isBlocked(task, tasks));
+    const partitioned = [...sorted.filter(task => !blocked.includes(task)), ...blocked];
+    
+    // Under organization headers they wait at the end of their organization instead
+    return currentSortMode === 'project' ? partitioned.sort(compareByOrganization) : partitioned;
+}
+
+function sortByMode() {
     if (currentSortMode === 'date') {
+        return [...tasks].sort(compareByDueDate);
+    } else if (currentSortMode === 'priority') {
         return [...tasks].sort((a, b) => {
-            // Sort by due date (tasks with dates first, then by date)
-            if (!a.dueDate && !b.dueDate) return b.createdAt.localeCompare(a.createdAt);
-            if (!a.dueDate) return 1;
-            if (!b.dueDate) return -1;
-            return a.dueDate.localeCompare(b.dueDate);
+            // Sort by priority (unprioritised last), then by due date
+            const aPriority = a.priority || '';
+            const bPriority = b.priority || '';
+            if (aPriority !== bPriority) {
+                if (!aPriority) return 1;
+                if (!bPriority) return -1;
+                return aPriority.localeCompare(bPriority);
+            }
+            return compareByDueDate(a, b);
         });
     } else {
         return [...tasks].sort((a, b) => {
-            // Sort by project, then by due date
+            // Sort by organization, then project, then by due date
+            const byOrganization = compareByOrganization(a, b);
+            if (byOrganization) return byOrganization;
             if (a.project !== b.project) {
                 if (!a.project) return 1;
                 if (!b.project) return -1;
                 return a.project.localeCompare(b.project);
             }
-            if (!a.dueDate && !b.dueDate) return b.createdAt.localeCompare(a.createdAt);
-            if (!a.dueDate) return 1;
-            if (!b.dueDate) return -1;
-            return a.dueDate.localeCompare(b.dueDate);
+            return compareByDueDate(a, b);
         });
     }
 }
 
+// ===========================================
+// Filtering
+// ===========================================
+
+function createDefaultFilter() {
+    return {
+        range: 'all',
+        project: '',
+        organization: '',
+        tag: '',
+        showCompleted: true
+    };
+}
+
+function normalizeFilter(filter) {
+    const defaults = createDefaultFilter();
+    if (!filter || typeof filter !== 'object') return defaults;
+    
+    return {
+        range: FILTER_RANGES.includes(filter.range) ? filter.range : defaults.range,
+        project: typeof filter.project === 'string' ? filter.project : '',
+        organization: typeof filter.organization === 'string' ? filter.organization : '',
+        tag: typeof filter.tag === 'string' ? filter.tag : '',
+        showCompleted: filter.showCompleted !== false
+    };
+}
+
+function isPastDue(task, now = new Date()) {
+    // A timed task is late from its due minute, a whole-day one from the next day
+    if (!task.dueDate) return false;
+    if (task.dueTime) return getDueMoment(task) <= now;
+    return task.dueDate < toDateKey(now);
+}
+
+function matchesDueRange(task, range) {
+    if (range === 'all') return true;
+    if (!task.dueDate) return false;
+    
+    const dueDate = task.dueDate;
+    const today = new Date();
+    const todayKey = toDateKey(today);
+    
+    switch (range) {
+        case 'today':
+            return dueDate === todayKey;
+        case 'tomorrow': {
+            const tomorrow = new Date(today);
+            tomorrow.setDate(tomorrow.getDate() + 1);
+            return dueDate === toDateKey(tomorrow);
+        }
+        case 'overdue':
+            return isPastDue(task, today);
+        case 'week': {
+            // From today through Sunday
+            const weekEnd = new Date(today);
+            weekEnd.setDate(weekEnd.getDate() + (7 - weekEnd.getDay()) % 7);
+            return dueDate >= todayKey && dueDate <= toDateKey(weekEnd);
+        }
+        default:
+            return false;
+    }
+}
+
+function matchesFilter(task, filter = currentFilter) {
+    if (!filter.showCompleted && task.completed) return false;
+    if (filter.project && task.project !== filter.project) return false;
+    // Same organization the task is grouped under, including one it only has through its project
+    if (filter.organization && getTaskOrganization(task) !== filter.organization) return false;
+    if (filter.tag && !(task.tags || []).includes(filter.tag)) return false;
+    
+    // Overdue only makes sense for open tasks
+    if (filter.range === 'overdue' && task.completed) return false;
+    
+    return matchesDueRange(task, filter.range);
+}
+
+function countWithFilter(overrides) {
+    const filter = { ...currentFilter, ...overrides };
+    return tasks.filter(task => matchesFilter(task, filter)).length;
+}
+
+function describeFilter() {
+    const parts = [];
+    if (currentFilter.range !== 'all') parts.push(FILTER_RANGE_LABELS[currentFilter.range]);
+    if (currentFilter.project) parts.push(currentFilter.project);
+    if (currentFilter.organization) parts.push(currentFilter.organization);
+    if (currentFilter.tag) parts.push(`#${currentFilter.tag}`);
+    if (!currentFilter.showCompleted) parts.push('Open');
+    return parts.length ? parts.join(' · ') : 'All tasks';
+}
+
+function isFilterActive() {
+    const defaults = createDefaultFilter();
+    return Object.keys(defaults).some(key => currentFilter[key] !== defaults[key]);
+}
+
+function showFilterView() {
+    renderFilterOptions();
+    showView('filterView');
+}
+
+function closeFilterView() {
+    showView('mainView');
+    renderTasks();
+}
+
+function handleFilterOptionClick(event) {
+    const option = event.target.closest('.filter-option');
+    if (!option) return;
+    
+    const { key, value } = option.dataset;
+    if (key === 'showCompleted') {
+        currentFilter.showCompleted = !currentFilter.showCompleted;
+    } else if (key === 'reset') {
+        currentFilter = createDefaultFilter();
+    } else {
+        currentFilter[key] = value;
+    }
+    
+    saveData();
+    renderFilterOptions();
+}
+
+function renderFilterOptions() {
+    const option = (key, value, label, count, selected) => `
+        <button class="filter-option ${selected ? 'selected' : ''}" data-key="${key}" data-value="${escapeAttribute(value)}">
+            <span>${escapeHtml(label)}</span>
+            <span class="filter-count">${count}</span>
+        </button>
+    `;
+    
+    const completedCount = tasks.filter(task => task.completed).length;
+    
+    document.getElementById('filterRangeOptions').innerHTML = FILTER_RANGES.map(range =>
+        option('range', range, FILTER_RANGE_LABELS[range], countWithFilter({ range }), currentFilter.range === range)
+    ).join('');
+    
+    document.getElementById('filterProjectOptions').innerHTML = [
+        option('project', '', 'All projects', countWithFilter({ project: '' }), !currentFilter.project),
+        ...projects.map(project => {
+            const tracked = getProjectTrackedMs(project);
+            const count = countWithFilter({ project });
+            return option('project', project, project, tracked ? `${count} · ⏱ ${formatDuration(tracked)}` : count, currentFilter.project === project);
+        })
+    ].join('');
+    
+    document.getElementById('filterOrgOptions').innerHTML = [
+        option('organization', '', 'All organizations', countWithFilter({ organization: '' }), !currentFilter.organization),
+        ...organizations.map(organization =>
+            option('organization', organization, organization, countWithFilter({ organization }), currentFilter.organization === organization)
+        )
+    ].join('');
+    
+    document.getElementById('filterTagOptions').innerHTML = [
+        option('tag', '', 'All tags', countWithFilter({ tag: '' }), !currentFilter.tag),
+        ...tags.map(tag =>
+            option('tag', tag, `#${tag}`, countWithFilter({ tag }), currentFilter.tag === tag)
+        )
+    ].join('');
+    
+    document.getElementById('filterMiscOptions').innerHTML = [
+        option('showCompleted', '', 'Show completed', completedCount, currentFilter.showCompleted),
+        option('reset', '', 'Clear filters', tasks.length, false)
+    ].join('');
+    
+    // Options are rebuilt, so put the wheel focus back where it was
+    if (focusedFieldIndex !== -1) {
+        updateFieldFocus();
+    }
+}
+
 // ===========================================
 // Rendering
 // ===========================================
@@ -503,42 +4060,121 @@ function renderTasks() {
     const taskList = document.getElementById('taskList');
     const emptyState = document.getElementById('emptyState');
     
-    if (tasks.length === 0) {
+    if (!tasks.some(task => task.id === highlightedTaskId)) {
+        highlightedTaskId = null;
+    }
+    renderReminderPanel();
+    renderStatsSummary();
+    
+    // Names can disappear from the lists (undo), so drop filters that point at them
+    if (currentFilter.project && !projects.includes(currentFilter.project)) currentFilter.project = '';
+    if (currentFilter.organization && !organizations.includes(currentFilter.organization)) currentFilter.organization = '';
+    if (currentFilter.tag && !tags.includes(currentFilter.tag)) currentFilter.tag = '';
+    
+    const filterBtn = document.getElementById('filterBtn');
+    const visibleTasks = sortTasks().filter(task => matchesFilter(task));
+    filterBtn.textContent = `☰ ${describeFilter()} · ${visibleTasks.length}`;
+    filterBtn.classList.toggle('active', isFilterActive());
+    
+    if (visibleTasks.length === 0) {
         taskList.innerHTML = '';
         emptyState.classList.add('visible');
+        document.getElementById('emptyTitle').textContent = tasks.length ? 'No matching tasks' : 'No tasks yet';
+        document.getElementById('emptyHint').textContent = tasks.length ? 'Tap the filter to change it' : 'Press + to add a task';
         return;
     }
     
     emptyState.classList.remove('visible');
     
-    const sortedTasks = sortTasks();
+    const runningTask = getRunningTask();
     
-    taskList.innerHTML = sortedTasks.map(task => {
-        const isOverdue = task.dueDate && new Date(task.dueDate) < new Date() && !task.completed;
+    // Project sort groups tasks under their organization, once there are any
+    const showOrgHeaders = currentSortMode === 'project' && visibleTasks.some(task => getTaskOrganization(task));
+    
+    taskList.innerHTML = visibleTasks.map((task, index) => {
+        const organization = getTaskOrganization(task);
+        const isNewGroup = showOrgHeaders && (index === 0 || getTaskOrganization(visibleTasks[index - 1]) !== organization);
+        const header = isNewGroup ? `<div class="org-header">🏢 ${escapeHtml(organization || 'No organization')}</div>` : '';
+        const isOverdue = !task.completed && isPastDue(task);
+        const countdown = task.completed ? '' : describeTimeLeft(task);
+        const progress = getSubtaskProgress(task.subtasks);
+        const tracked = getTrackedMs(task);
+        const blockers = task.completed ? [] : getOpenBlockers(task, tasks);
         
-        return `
-            <div class="task-item ${task.completed ? 'completed' : ''}" 
-                 onclick="showEditView(${task.id})"
+        return `${header}
+            <div class="task-item ${getProjectColorClass(task.project)} ${task.completed ? 'completed' : ''} ${blockers.length ? 'blocked' : ''} ${task.id === highlightedTaskId ? 'highlighted' : ''}" 
                  data-task-id="${task.id}">
                 <div class="task-title">${escapeHtml(task.task)}</div>
                 <div class="task-meta">
+                    ${task.priority ? `<span class="task-tag priority ${task.priority.toLowerCase()}">${task.priority}</span>` : ''}
                     ${task.project ? `<span class="task-tag project">📁 ${escapeHtml(task.project)}</span>` : ''}
-                    ${task.organization ? `<span class="task-tag org">🏢 ${escapeHtml(task.organization)}</span>` : ''}
-                    ${task.dueDate ? `<span class="task-tag due ${isOverdue ? 'overdue' : ''}">📅 ${formatDate(task.dueDate)}</span>` : ''}
+                    ${getTaskOrganization(task) ? `<span class="task-tag org">🏢 ${escapeHtml(getTaskOrganization(task))}</span>` : ''}
+                    ${task.dueDate ? `<span class="task-tag due ${isOverdue ? 'overdue' : ''}">📅 ${formatDue(task)}${countdown ? ` · ${countdown}` : ''}</span>` : ''}
+                    ${task.repeat ? `<span class="task-tag repeat">🔁 ${describeRepeatRule(task.repeat)}</span>` : ''}
+                    ${(task.tags || []).map(tag => `<span class="task-tag label">#${escapeHtml(tag)}</span>`).join('')}
+                    ${blockers.length ? `<span class="task-tag blocker">⛔ ${escapeHtml(truncate(blockers[0].task, 16))}${blockers.length > 1 ? ` +${blockers.length - 1}` : ''}</span>` : ''}
+                    ${task.issue ? `<span class="task-tag issue">#${task.issue.number}</span>` : ''}
+                    ${tracked ? `<span class="task-tag time ${task === runningTask ? 'running' : ''}">⏱ ${formatDuration(tracked)}</span>` : ''}
+                    ${task.pomodoros && task.pomodoros.length ? `<span class="task-tag pomodoro">🍅 ${task.pomodoros.length}</span>` : ''}
+                    ${progress.total ? `<span class="task-tag progress ${progress.done === progress.total ? 'done' : ''}">☑ ${progress.done}/${progress.total}</span>` : ''}
                 </div>
             </div>
         `;
     }).join('');
 }
 
+function renderDueHint() {
+    const text = document.getElementById('editDueInput').value.trim();
+    const due = parseDue(text);
+    const hint = document.getElementById('editDueHint');
+    
+    if (!text) {
+        hint.textContent = 'No due date';
+    } else if (due) {
+        const day = parseDateKey(due.dueDate).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+        hint.textContent = due.dueTime ? `${day} ${due.dueTime}` : day;
+    } else {
+        hint.textContent = "Can't read that date";
+    }
+    hint.classList.toggle('error', !!text && !due);
+}
+
+function renderSubtasks() {
+    const subtaskList = document.getElementById('subtaskList');
+    const { done, total } = getSubtaskProgress(editingSubtasks);
+    
+    document.getElementById('subtaskProgress').textContent = total ? `${done}/${total}` : '';
+    
+    subtaskList.innerHTML = editingSubtasks.map(subtask => `
+        <div class="subtask-item ${subtask.completed ? 'completed' : ''}" data-subtask-id="${subtask.id}">
+            <span class="subtask-check">${subtask.completed ? '☑' : '☐'}</span>
+            <span class="subtask-text">${escapeHtml(subtask.text)}</span>
+            <button class="subtask-remove" aria-label="Remove step">✕</button>
+        </div>
+    `).join('');
+}
+
 // ===========================================
 // Utility Functions
 // ===========================================
 
+function generateId() {
+    // Timestamp-based like before, but unique when several are made at once
+    lastGeneratedId = Math.max(Date.now(), lastGeneratedId + 1);
+    return lastGeneratedId;
+}
+
+function parseDateKey(dateKey) {
+    // 'YYYY-MM-DD' as a local calendar day
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
 function formatDate(dateString) {
     if (!dateString) return '';
     
-    const date = new Date(dateString);
+    // new Date('YYYY-MM-DD') is UTC midnight, which is the day before west of Greenwich
+    const date = parseDateKey(dateString);
     const today = new Date();
     const tomorrow = new Date(today);
     tomorrow.setDate(tomorrow.getDate() + 1);
@@ -559,10 +4195,95 @@ function formatDate(dateString) {
     return date.toLocaleDateString('en-US', options);
 }
 
+function formatDue(task) {
+    // "Today 15:00", "Oct 23"
+    const day = formatDate(task.dueDate);
+    return task.dueTime ? `${day} ${task.dueTime}` : day;
+}
+
+function formatDueInput(task) {
+    // Something parseDue reads back as the same due date
+    if (!task.dueDate) return '';
+    return task.dueTime ? `${task.dueDate} ${task.dueTime}` : task.dueDate;
+}
+
+function describeTimeLeft(task, now = Date.now()) {
+    // Only timed tasks within the next day get a countdown
+    if (!task.dueDate || !task.dueTime) return '';
+    
+    const ms = getDueMoment(task).getTime() - now;
+    if (ms <= 0 || ms >= 24 * 60 * 60 * 1000) return '';
+    if (ms < 60 * 60 * 1000) return `in ${Math.ceil(ms / 60000)}m`;
+    return `in ${Math.round(ms / (60 * 60 * 1000))}h`;
+}
+
+function normalizePriority(value) {
+    // Accepts "P1", "p1" or "1"; anything else means no priority
+    if (value === undefined || value === null) return '';
+    const normalized = String(value).trim().toUpperCase().replace(/^(\d)$/, 'P$1');
+    return PRIORITIES.includes(normalized) ? normalized : '';
+}
+
+function normalizeTag(value) {
+    // "Blocked on design" and "#blocked-on-design" are the same tag
+    return String(value).trim().replace(/^#+/, '').toLowerCase().replace(/\s+/g, '-');
+}
+
+function normalizeTags(values) {
+    return [...new Set(values.filter(value => typeof value === 'string').map(normalizeTag).filter(Boolean))];
+}
+
+function isMainViewActive() {
+    return document.querySelector('.view.active').id === 'mainView';
+}
+
+function formatDuration(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) return '<1m';
+    if (minutes < 60) return `${minutes}m`;
+    return minutes % 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${Math.floor(minutes / 60)}h`;
+}
+
+function formatElapsed(ms) {
+    // Past a day, hours and minutes say less than days
+    if (ms < DAY_MS) return formatDuration(ms);
+    const days = Math.round(ms / DAY_MS * 10) / 10;
+    return `${days} ${days === 1 ? 'day' : 'days'}`;
+}
+
+function formatClock(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = String(Math.floor(totalSeconds / 60) % 60).padStart(hours ? 2 : 1, '0');
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return hours ? `${hours}:${minutes}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+function pluralize(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function truncate(text, maxLength = 24) {
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+function isVisible(element) {
+    return !!(element.offsetWidth || element.offsetHeight || element.getClientRects().length);
+}
+
+function isTextEntry(element) {
+    return ['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName);
+}
+
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
     return div.innerHTML;
 }
 
+function escapeAttribute(text) {
+    // escapeHtml leaves quotes alone, which is fine in text but not inside an attribute
+    return escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
 console.log('Dev Tasks app ready!');
@@ -0,0 +1,144 @@
+/**
+ * Stats
+ * Completion figures for the stats dashboard
+ */
+
+import { toDateKey } from './date-parser.js';
+
+/**
+ * Tasks completed on each of the last few days
+ * @param {Array} tasks - Active and archived tasks
+ * @param {number} days - How many days, ending today
+ * @param {Date} [now]
+ * @returns {Array} - [{ dateKey, count }] oldest first
+ */
+export function countCompletedByDay(tasks, days, now = new Date()) {
+    const counts = countBy(tasks, task => toDateKey(new Date(task.completedAt)));
+
+    return getDayStarts(days, now).map(day => {
+        const dateKey = toDateKey(day);
+        return { dateKey, count: counts.get(dateKey) || 0 };
+    });
+}
+
+/**
+ * Tasks completed in each of the last few Monday-to-Sunday weeks
+ * @param {Array} tasks - Active and archived tasks
+ * @param {number} weeks - How many weeks, ending with this one
+ * @param {Date} [now]
+ * @returns {Array} - [{ dateKey, count }] oldest first, keyed by the Monday
+ */
+export function countCompletedByWeek(tasks, weeks, now = new Date()) {
+    const counts = countBy(tasks, task => toDateKey(getWeekStart(new Date(task.completedAt))));
+    const thisWeek = getWeekStart(now);
+
+    return Array.from({ length: weeks }, (_, index) => {
+        const monday = new Date(thisWeek);
+        monday.setDate(monday.getDate() - (weeks - 1 - index) * 7);
+        const dateKey = toDateKey(monday);
+        return { dateKey, count: counts.get(dateKey) || 0 };
+    });
+}
+
+/**
+ * Mean time from creation to completion
+ * @param {Array} tasks - Active and archived tasks
+ * @returns {number|null} - Milliseconds, or null if nothing has been completed
+ */
+export function getAverageCompletionTime(tasks) {
+    const durations = tasks
+        .filter(task => task.completed && task.completedAt)
+        .map(task => new Date(task.completedAt) - new Date(task.createdAt))
+        // Tasks imported with a made-up creation time can look finished before they started
+        .filter(duration => duration >= 0);
+
+    if (durations.length === 0) return null;
+    return durations.reduce((sum, duration) => sum + duration, 0) / durations.length;
+}
+
+/**
+ * Open and completed tasks per project
+ * @param {Array} tasks - Active and archived tasks
+ * @returns {Array} - [{ project, open, closed }] busiest first; project is '' for tasks without one
+ */
+export function countByProject(tasks) {
+    const projects = new Map();
+
+    tasks.forEach(task => {
+        const project = task.project || '';
+        const counts = projects.get(project) || { project, open: 0, closed: 0 };
+        if (task.completed) {
+            counts.closed++;
+        } else {
+            counts.open++;
+        }
+        projects.set(project, counts);
+    });
+
+    return [...projects.values()].sort((a, b) =>
+        b.open - a.open ||
+        b.closed - a.closed ||
+        // Tasks without a project go last
+        (!a.project) - (!b.project) ||
+        a.project.localeCompare(b.project)
+    );
+}
+
+/**
+ * Open tasks at the end of each of the last few days
+ * @param {Array} tasks - Active and archived tasks
+ * @param {number} days - How many days, ending today
+ * @param {Date} [now]
+ * @returns {Array} - Open task counts, oldest first; today's is as of now
+ */
+export function getBurndown(tasks, days, now = new Date()) {
+    return getDayStarts(days, now).map((day, index) => {
+        const nextDay = new Date(day);
+        nextDay.setDate(nextDay.getDate() + 1);
+        const end = index === days - 1 ? now.getTime() : nextDay.getTime();
+
+        return tasks.filter(task => {
+            const createdAt = new Date(task.createdAt).getTime();
+            if (!(createdAt < end)) return false;
+            return !task.completedAt || new Date(task.completedAt).getTime() >= end;
+        }).length;
+    });
+}
+
+/**
+ * Completed tasks counted by a key, skipping any without a completion time
+ * @private
+ */
+function countBy(tasks, getKey) {
+    const counts = new Map();
+
+    tasks.forEach(task => {
+        if (!task.completed || !task.completedAt) return;
+        const key = getKey(task);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+
+    return counts;
+}
+
+/**
+ * Local midnights of the last few days, oldest first
+ * @private
+ */
+function getDayStarts(days, now) {
+    return Array.from({ length: days }, (_, index) => {
+        // setDate rather than subtracting a day's milliseconds, so daylight saving doesn't shift days
+        const day = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        day.setDate(day.getDate() - (days - 1 - index));
+        return day;
+    });
+}
+
+/**
+ * @private
+ */
+function getWeekStart(date) {
+    const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    monday.setDate(monday.getDate() - (monday.getDay() + 6) % 7);
+    return monday;
+}
@@ -0,0 +1,235 @@
+/**
+ * Storage Schema
+ * Versioning, migrations and recovery for the persisted dev_tasks_data payload
+ */
+
+/**
+ * Ordered migrations: migrations[n] upgrades a payload from version n to n + 1.
+ * Append new steps here; never edit a step that has already shipped.
+ */
+const migrations = [
+    // 0 -> 1: unversioned payload, fill in fields added after the first release
+    (data) => ({
+        ...data,
+        tasks: data.tasks.map(task => ({
+            subtasks: [],
+            autoComplete: true,
+            priority: '',
+            repeat: null,
+            ...task
+        }))
+    }),
+
+    // 1 -> 2: list filters are persisted alongside the sort mode
+    (data) => ({
+        currentFilter: {
+            range: 'all',
+            project: '',
+            organization: '',
+            showCompleted: true
+        },
+        ...data
+    }),
+
+    // 2 -> 3: completion time is recorded so old tasks can be archived
+    (data) => {
+        const now = new Date().toISOString();
+        return {
+            settings: { archiveAfterDays: 7 },
+            ...data,
+            // Tasks finished before this version count from the upgrade
+            tasks: data.tasks.map(task => ({
+                ...task,
+                completedAt: task.completed ? (task.completedAt || now) : null
+            }))
+        };
+    },
+
+    // 3 -> 4: last-modified time, used to settle sync conflicts
+    (data) => ({
+        ...data,
+        tasks: data.tasks.map(task => ({
+            ...task,
+            updatedAt: task.updatedAt || task.completedAt || task.createdAt
+        }))
+    }),
+
+    // 4 -> 5: due-date reminders, on by default for the morning of
+    (data) => ({
+        ...data,
+        settings: { reminderLead: 'morning', ...data.settings }
+    }),
+
+    // 5 -> 6: tracked time, as a list of { start, end } sessions per task
+    (data) => ({
+        ...data,
+        tasks: data.tasks.map(task => ({ sessions: [], ...task }))
+    }),
+
+    // 6 -> 7: pomodoro focus mode, with completed pomodoros logged per task
+    (data) => ({
+        ...data,
+        settings: {
+            focus: { workMinutes: 25, breakMinutes: 5, longBreakMinutes: 15, longBreakEvery: 4 },
+            ...data.settings
+        },
+        tasks: data.tasks.map(task => ({ pomodoros: [], ...task }))
+    }),
+
+    // 7 -> 8: "blocked by" dependencies, as a list of task ids
+    (data) => ({
+        ...data,
+        tasks: data.tasks.map(task => ({ blockedBy: [], ...task }))
+    }),
+
+    // 8 -> 9: free-form tags, with a registry kept like projects and organizations
+    (data) => ({
+        ...data,
+        tasks: data.tasks.map(task => ({ tags: [], ...task }))
+    }),
+
+    // 9 -> 10: optional due time, 'HH:MM' local time alongside the due date
+    (data) => ({
+        ...data,
+        tasks: data.tasks.map(task => ({ dueTime: '', ...task }))
+    }),
+
+    // 10 -> 11: per-project colors, keyed by project name
+    (data) => ({ projectColors: {}, ...data }),
+
+    // 11 -> 12: projects belong to an organization, the first one their tasks use
+    (data) => {
+        const projectOrgs = {};
+        data.tasks.forEach(task => {
+            if (task.project && task.organization && !projectOrgs[task.project]) {
+                projectOrgs[task.project] = task.organization;
+            }
+        });
+        // Sanitizing has already given the payload an empty map
+        return { ...data, projectOrgs: { ...projectOrgs, ...data.projectOrgs } };
+    }
+];
+
+export const SCHEMA_VERSION = migrations.length;
+
+/**
+ * Decode a stored string into a payload object
+ * Accepts plain JSON (localStorage), UTF-8 safe base64 and the older Latin-1 base64
+ * @param {string} stored - Raw value from storage
+ * @returns {Object} - Parsed payload
+ * @throws {Error} - If the value can't be decoded by any known format
+ */
+export function decodePayload(stored) {
+    const attempts = [
+        () => JSON.parse(stored),
+        () => JSON.parse(decodeURIComponent(escape(atob(stored)))),
+        () => JSON.parse(atob(stored))
+    ];
+
+    for (const attempt of attempts) {
+        try {
+            const data = attempt();
+            if (data && typeof data === 'object' && !Array.isArray(data)) {
+                return data;
+            }
+        } catch (e) {
+            // Try the next format
+        }
+    }
+
+    throw new Error('Unrecognised storage format');
+}
+
+/**
+ * Encode a payload for storage
+ * @param {Object} data - Payload to store
+ * @param {boolean} base64 - Base64 encode (creationStorage) instead of plain JSON
+ * @returns {string} - Encoded value
+ */
+export function encodePayload(data, base64) {
+    const json = JSON.stringify(data);
+    // btoa only takes Latin-1, so go through UTF-8 first
+    return base64 ? btoa(unescape(encodeURIComponent(json))) : json;
+}
+
+/**
+ * Bring a decoded payload up to the current schema version
+ * @param {Object} data - Decoded payload, any version
+ * @returns {Object} - { data, fromVersion, dropped } where dropped counts discarded records
+ */
+export function upgradePayload(data) {
+    const fromVersion = Number.isInteger(data.schemaVersion) ? data.schemaVersion : 0;
+
+    let upgraded = sanitizePayload(data);
+    const dropped = upgraded.dropped;
+    upgraded = upgraded.data;
+
+    for (let version = fromVersion; version < SCHEMA_VERSION; version++) {
+        upgraded = migrations[version](upgraded);
+    }
+
+    // A payload from a newer build is loaded as-is; the caller keeps a backup
+    upgraded.schemaVersion = Math.max(fromVersion, SCHEMA_VERSION);
+
+    return { data: upgraded, fromVersion, dropped };
+}
+
+/**
+ * Coerce the core fields every version has and drop records that can't be used
+ * @private
+ */
+function sanitizePayload(data) {
+    let dropped = 0;
+    const seenIds = new Set();
+    let maxId = 0;
+
+    const rawTasks = Array.isArray(data.tasks) ? data.tasks : [];
+    const tasks = [];
+
+    rawTasks.forEach(task => {
+        if (!task || typeof task !== 'object' || typeof task.task !== 'string' || !task.task.trim()) {
+            dropped++;
+            return;
+        }
+        tasks.push({
+            ...task,
+            id: Number(task.id),
+            project: typeof task.project === 'string' ? task.project : '',
+            organization: typeof task.organization === 'string' ? task.organization : '',
+            dueDate: typeof task.dueDate === 'string' ? task.dueDate : '',
+            dueTime: typeof task.dueTime === 'string' ? task.dueTime : '',
+            completed: task.completed === true,
+            createdAt: typeof task.createdAt === 'string' ? task.createdAt : new Date(0).toISOString()
+        });
+    });
+
+    tasks.forEach(task => {
+        if (Number.isFinite(task.id)) maxId = Math.max(maxId, task.id);
+    });
+
+    // Missing or duplicate ids would make tasks impossible to edit, so renumber them
+    tasks.forEach(task => {
+        if (!Number.isFinite(task.id) || seenIds.has(task.id)) {
+            task.id = ++maxId;
+        }
+        seenIds.add(task.id);
+    });
+
+    const names = (list) => (Array.isArray(list) ? list : [])
+        .filter(name => typeof name === 'string' && name.trim());
+    const nameMap = (map) => Object.fromEntries(Object.entries(map && typeof map === 'object' ? map : {})
+        .filter(([, value]) => typeof value === 'string' && value.trim()));
+
+    return {
+        data: {
+            ...data,
+            tasks,
+            projects: [...new Set(names(data.projects))],
+            organizations: [...new Set(names(data.organizations))],
+            tags: [...new Set(names(data.tags))],
+            projectColors: nameMap(data.projectColors),
+            projectOrgs: nameMap(data.projectOrgs)
+        },
+        dropped
+    };
+}
@@ -0,0 +1,223 @@
+/**
+ * Tracker Sync
+ * Two-way sync between tasks and a GitHub-Issues-compatible REST API
+ */
+
+import { toDateKey } from './date-parser.js';
+
+const PAGE_SIZE = 100;
+const MAX_PAGES = 10;
+const PRIORITY_LABEL = /^P[0-3]$/i;
+
+/**
+ * Client for the handful of issue endpoints the sync needs
+ * @param {Object} config
+ * @param {string} config.baseUrl - API root, e.g. https://api.github.com
+ * @param {string} [config.token] - Sent as a bearer token
+ * @param {Function} [config.fetch] - fetch implementation, for running against a mock
+ * @returns {Object} - { listAssignedIssues, getIssue, setIssueState }
+ */
+export function createTrackerClient({ baseUrl, token, fetch: fetchImpl = (...args) => fetch(...args) }) {
+    const root = baseUrl.replace(/\/+$/, '');
+
+    async function request(method, path, body) {
+        const headers = { Accept: 'application/vnd.github+json' };
+        if (token) headers.Authorization = `Bearer ${token}`;
+        if (body) headers['Content-Type'] = 'application/json';
+
+        const response = await fetchImpl(`${root}${path}`, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        if (!response.ok) {
+            throw new Error(`${method} ${path} failed: HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
+    const issuePath = ref => `/repos/${encodeURIComponent(ref.owner)}/${encodeURIComponent(ref.repo)}/issues/${ref.number}`;
+
+    return {
+        async listAssignedIssues() {
+            const issues = [];
+            for (let page = 1; page <= MAX_PAGES; page++) {
+                const batch = await request('GET', `/issues?filter=assigned&state=open&per_page=${PAGE_SIZE}&page=${page}`);
+                if (!Array.isArray(batch)) {
+                    throw new Error('Unexpected response from /issues');
+                }
+                issues.push(...batch);
+                if (batch.length < PAGE_SIZE) break;
+            }
+            // The issues endpoint lists pull requests too
+            return issues.filter(issue => !issue.pull_request);
+        },
+
+        getIssue(ref) {
+            return request('GET', issuePath(ref));
+        },
+
+        setIssueState(ref, state) {
+            return request('PATCH', issuePath(ref), { state });
+        }
+    };
+}
+
+/**
+ * Reconcile tasks with the tracker
+ * Linked tasks are updated in place; where the task and the issue disagree on
+ * completion, whichever changed last wins.
+ * @param {Object} client - From createTrackerClient
+ * @param {Object} state
+ * @param {Array} state.tasks - Active tasks
+ * @param {Array} state.archivedTasks - Archived tasks, only ever pushed from
+ * @param {Function} state.complete - Marks a task completed
+ * @param {Function} state.reopen - Marks a task open again
+ * @returns {Promise<Object>} - { created, pulled, pushed } where created are new tasks without ids
+ */
+export async function syncTasks(client, { tasks, archivedTasks, complete, reopen }) {
+    const linked = new Map();
+    [...tasks, ...archivedTasks].forEach(task => {
+        if (task.issue) linked.set(getIssueKey(task.issue), task);
+    });
+
+    const result = { created: [], pulled: 0, pushed: 0 };
+    const seen = new Set();
+
+    for (const issue of await client.listAssignedIssues()) {
+        const ref = getIssueRef(issue);
+        const key = getIssueKey(ref);
+        const task = linked.get(key);
+        seen.add(key);
+
+        if (!task) {
+            result.created.push(issueToTask(issue, ref));
+            continue;
+        }
+
+        if (isNewer(issue.updated_at, task.updatedAt)) {
+            task.task = issue.title || task.task;
+        }
+        await reconcile(task, issue, ref);
+    }
+
+    // Linked tasks missing from the assigned list were closed or reassigned
+    for (const [key, task] of linked) {
+        if (seen.has(key) || archivedTasks.includes(task)) continue;
+        if (task.completed && task.issue.state === 'closed') continue;
+
+        await reconcile(task, await client.getIssue(task.issue), task.issue);
+    }
+
+    return result;
+
+    async function reconcile(task, issue, ref) {
+        const remoteClosed = issue.state === 'closed';
+
+        if (task.completed === remoteClosed) {
+            linkIssue(task, issue, ref);
+        } else if (isNewer(issue.updated_at, task.updatedAt)) {
+            // Archived tasks are finished with; a reopened issue doesn't pull them back
+            if (archivedTasks.includes(task)) return;
+            if (remoteClosed) {
+                complete(task);
+            } else {
+                reopen(task);
+            }
+            linkIssue(task, issue, ref);
+            result.pulled++;
+        } else {
+            const updated = await client.setIssueState(ref, task.completed ? 'closed' : 'open');
+            linkIssue(task, updated, ref);
+            result.pushed++;
+        }
+    }
+}
+
+/**
+ * Stable key for an issue reference
+ * @param {Object} ref - { owner, repo, number }
+ * @returns {string} - "owner/repo#number"
+ */
+export function getIssueKey(ref) {
+    return `${ref.owner}/${ref.repo}#${ref.number}`.toLowerCase();
+}
+
+/**
+ * @private
+ */
+function getIssueRef(issue) {
+    if (issue.repository && issue.repository.owner) {
+        return { owner: issue.repository.owner.login, repo: issue.repository.name, number: issue.number };
+    }
+
+    // Trackers that leave out the repository object still give its URL
+    const match = String(issue.repository_url || '').match(/\/repos\/([^/]+)\/([^/]+)\/?$/);
+    if (!match) {
+        throw new Error(`Issue #${issue.number} has no repository`);
+    }
+    return { owner: decodeURIComponent(match[1]), repo: decodeURIComponent(match[2]), number: issue.number };
+}
+
+/**
+ * Record what the tracker last said, so the next sync can tell who changed what
+ * @private
+ */
+function linkIssue(task, issue, ref) {
+    task.issue = {
+        owner: ref.owner,
+        repo: ref.repo,
+        number: ref.number,
+        url: issue.html_url || (task.issue && task.issue.url) || '',
+        state: issue.state,
+        updatedAt: issue.updated_at
+    };
+
+    // Both sides now agree, so neither counts as newer next time
+    if (isNewer(issue.updated_at, task.updatedAt)) {
+        task.updatedAt = issue.updated_at;
+    }
+}
+
+/**
+ * @private
+ */
+function issueToTask(issue, ref) {
+    const labels = (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name) || '');
+    const priority = labels.find(label => PRIORITY_LABEL.test(label));
+    // Every other label comes across as a tag
+    const tags = labels
+        .filter(label => label && !PRIORITY_LABEL.test(label))
+        .map(label => label.trim().toLowerCase().replace(/\s+/g, '-'));
+    const dueOn = issue.milestone && issue.milestone.due_on;
+
+    const task = {
+        task: issue.title,
+        project: ref.repo,
+        organization: ref.owner,
+        dueDate: dueOn ? toDateKey(new Date(dueOn)) : '',
+        dueTime: '',
+        priority: priority ? priority.toUpperCase() : '',
+        repeat: null,
+        subtasks: [],
+        sessions: [],
+        pomodoros: [],
+        blockedBy: [],
+        tags: [...new Set(tags)],
+        autoComplete: true,
+        completed: false,
+        completedAt: null,
+        createdAt: issue.created_at || new Date().toISOString(),
+        updatedAt: issue.updated_at
+    };
+    linkIssue(task, issue, ref);
+    return task;
+}
+
+/**
+ * @private
+ */
+function isNewer(a, b) {
+    return new Date(a || 0).getTime() > new Date(b || 0).getTime();
+}